@@ -0,0 +1,263 @@
+const {createGeminiProvider} = require('./providers/gemini');
+const {createOpenAIProvider} = require('./providers/openai');
+const {createMockProvider} = require('./providers/mock');
+const {validateSchema} = require('../utils/jsonSchema');
+const {withRetry} = require('../utils/retry');
+const {getRateLimiter} = require('../utils/rateLimiter');
+const {config} = require('../config');
+
+// Provider factories by the `type` used in config.llm.providers
+const providerFactories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+const providers = new Map();
+const cooldowns = new Map();
+
+/**
+ * Error thrown when an LLM response still does not match its schema after repair attempts
+ */
+class LlmValidationError extends Error {
+    /**
+     * @param {string} task - Task name
+     * @param {Array<string>} errors - Validation or parse errors
+     * @param {string} raw - Last raw response
+     */
+    constructor(task, errors, raw) {
+        super(`Invalid ${task} response: ${errors.slice(0, 3).join('; ')}`);
+        this.name = 'LlmValidationError';
+        this.task = task;
+        this.errors = errors;
+        this.raw = raw;
+    }
+
+    /**
+     * Compact form stored on news rows
+     * @returns {Object} - {task, errors, raw}
+     */
+    toJSON() {
+        return {task: this.task, errors: this.errors, raw: this.raw && this.raw.substring(0, 1000)};
+    }
+}
+
+/**
+ * Get a configured provider by name, creating it on first use
+ * @param {string} name - Key in config.llm.providers
+ * @returns {Object} - Provider with name and generate function
+ */
+function getProvider(name) {
+    if (!providers.has(name)) {
+        const options = config.llm.providers[name];
+        if (!options) {
+            throw new Error(`LLM provider "${name}" is not configured`);
+        }
+
+        const factory = providerFactories[options.type];
+        if (!factory) {
+            throw new Error(`Unknown LLM provider type "${options.type}" for "${name}"`);
+        }
+
+        providers.set(name, factory({...options, name}));
+    }
+
+    return providers.get(name);
+}
+
+/**
+ * Resolve the ordered provider chain for a task
+ * LLM_PROVIDER in the environment forces a single provider, e.g. LLM_PROVIDER=mock for offline runs.
+ * @param {Object} settings - Task settings from config.llm.tasks
+ * @returns {Array} - Chain entries with provider, model, temperature and maxOutputTokens
+ */
+function resolveChain(settings) {
+    const forced = process.env.LLM_PROVIDER;
+    const chain = forced ?
+        [settings.providers.find(entry => entry.provider === forced) || {provider: forced}] :
+        settings.providers;
+
+    return chain.map(entry => ({
+        temperature: settings.temperature,
+        maxOutputTokens: settings.maxOutputTokens,
+        ...entry
+    }));
+}
+
+/**
+ * Run a call on the first healthy provider in a task's chain, failing over to the next one on errors
+ * Transient errors are retried on the same provider first (config.retry).
+ * A provider that fails is skipped for config.llm.failoverCooldown unless it is the only one left.
+ * @param {string} task - Key in config.llm.tasks
+ * @param {Function} call - Called with (provider, chain entry), returns a promise
+ * @returns {Promise<*>} - Result of the first successful call
+ */
+async function runWithFailover(task, call) {
+    const settings = config.llm.tasks[task];
+    if (!settings) {
+        throw new Error(`LLM task "${task}" is not configured`);
+    }
+
+    const chain = resolveChain(settings);
+    const now = Date.now();
+    const healthy = chain.filter(entry => !(cooldowns.get(entry.provider) > now));
+    const candidates = healthy.length ? healthy : chain;
+    let lastError;
+
+    for (const entry of candidates) {
+        try {
+            const provider = getProvider(entry.provider);
+            const result = await withRetry(() => call(provider, entry), {
+                label: `${task} with ${entry.provider}`,
+                limiter: getRateLimiter(task, entry.provider)
+            });
+
+            cooldowns.delete(entry.provider);
+            return result;
+        } catch (error) {
+            console.error(`Error processing ${task} with ${entry.provider}:`, error.message);
+            if (error.response) {
+                console.error('API Response Error:', error.response.data);
+            }
+
+            cooldowns.set(entry.provider, Date.now() + config.llm.failoverCooldown);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Run a task on the first healthy provider in its chain
+ * @param {string} task - Key in config.llm.tasks ('review' or 'translate')
+ * @param {string} prompt - Task instructions
+ * @param {string} text - Input text
+ * @param {Object} [schema] - JSON Schema for providers that support structured output
+ * @returns {Promise<string>} - Response text
+ */
+async function generate(task, prompt, text, schema = null) {
+    return runWithFailover(task, (provider, entry) => provider.generate({
+        task,
+        prompt,
+        text,
+        model: entry.model,
+        temperature: entry.temperature,
+        maxOutputTokens: entry.maxOutputTokens,
+        schema
+    }));
+}
+
+/**
+ * Get embedding vectors for texts from the provider chain of the embed task
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Object>} - {model, vectors}; model is provider/model so vectors of different models are not compared
+ */
+async function embed(texts) {
+    return runWithFailover('embed', async (provider, entry) => {
+        if (!provider.embed) {
+            throw new Error(`LLM provider "${provider.name}" does not support embeddings`);
+        }
+
+        const vectors = await provider.embed({texts, model: entry.model});
+        if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+            throw new Error(`LLM provider "${provider.name}" returned ${vectors && vectors.length} embeddings for ${texts.length} texts`);
+        }
+        return {model: `${entry.provider}/${entry.model || 'default'}`, vectors};
+    });
+}
+
+/**
+ * Parse a JSON response, tolerating markdown fences and text around the JSON
+ * @param {string} raw - Response text
+ * @returns {Object} - {value} on success or {error} with the parse error message
+ */
+function parseJsonResponse(raw) {
+    const cleaned = String(raw)
+        .replace(/^\uFEFF/, '')
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '')
+        .trim();
+
+    try {
+        return {value: JSON.parse(cleaned)};
+    } catch (error) {
+        // Fall back to the outermost object or array in the text
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            try {
+                return {value: JSON.parse(cleaned.substring(start, end + 1))};
+            } catch (innerError) {
+                // Report the error of the full text below
+            }
+        }
+        return {error: `Response is not valid JSON: ${error.message}`};
+    }
+}
+
+/**
+ * Fix common structural slips that do not change the meaning of a response
+ * @param {*} value - Parsed response
+ * @param {Object} schema - Expected JSON Schema
+ * @returns {*} - Repaired value
+ */
+function repairShape(value, schema) {
+    if (schema.type === 'array' && value && typeof value === 'object' && !Array.isArray(value)) {
+        // {"items": [...]} or a single object instead of an array
+        const arrays = Object.values(value).filter(Array.isArray);
+        return arrays.length === 1 ? arrays[0] : [value];
+    }
+    if (schema.type === 'object' && Array.isArray(value) && value.length === 1) {
+        return value[0];
+    }
+    return value;
+}
+
+/**
+ * Run a task that must return JSON matching a schema
+ * Responses that cannot be parsed or repaired are re-requested with the validation errors
+ * up to config.llm.maxRepairAttempts times.
+ * @param {string} task - Key in config.llm.tasks
+ * @param {string} prompt - Task instructions
+ * @param {string} text - Input text
+ * @param {Object} schema - JSON Schema of the expected response
+ * @param {Object} [options] - Options
+ * @param {Function} [options.prepare] - Applied to the parsed response before it is validated,
+ *   e.g. to drop entries the caller does not use
+ * @returns {Promise<*>} - Parsed and validated response
+ * @throws {LlmValidationError} - If no valid response was produced
+ */
+async function generateJson(task, prompt, text, schema, {prepare = value => value} = {}) {
+    const schemaHint = `\n\nReturn only JSON matching this JSON Schema: ${JSON.stringify(schema)}`;
+    let currentPrompt = prompt + schemaHint;
+    let raw = '';
+    let errors = [];
+
+    for (let attempt = 0; attempt <= config.llm.maxRepairAttempts; attempt++) {
+        raw = await generate(task, currentPrompt, text, schema);
+
+        const parsed = parseJsonResponse(raw);
+        if (parsed.error) {
+            errors = [parsed.error];
+        } else {
+            const value = prepare(repairShape(parsed.value, schema));
+            errors = validateSchema(value, schema);
+            if (errors.length === 0) return value;
+        }
+
+        console.warn(`Invalid ${task} response (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+        currentPrompt = prompt + schemaHint +
+            `\n\nYour previous answer was rejected because: ${errors.slice(0, 10).join('; ')}. Answer again.`;
+    }
+
+    throw new LlmValidationError(task, errors, raw);
+}
+
+module.exports = {
+    generate,
+    generateJson,
+    embed,
+    getProvider,
+    LlmValidationError
+};
@@ -0,0 +1,125 @@
+const axios = require('axios');
+
+// Schema keywords understood by Gemini's responseSchema (an OpenAPI subset)
+const SUPPORTED_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+/**
+ * Convert a JSON Schema to the responseSchema format Gemini accepts
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini schema with upper-case types and unsupported keywords removed
+ */
+function toGeminiSchema(schema) {
+    const result = {};
+
+    for (const key of SUPPORTED_SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+
+        if (key === 'type') {
+            result.type = schema.type.toUpperCase();
+        } else if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+            );
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Create a provider for the Google Gemini generateContent API
+ * @param {Object} options - Provider options from config.llm.providers
+ * @param {string} [options.apiKeyEnv='GEMINI_API_KEY'] - Environment variable holding the API key
+ * @param {string} [options.baseUrl] - API base URL
+ * @returns {Object} - Provider with name, generate and embed functions
+ */
+function createGeminiProvider({
+    name = 'gemini',
+    apiKeyEnv = 'GEMINI_API_KEY',
+    baseUrl = 'https://generativelanguage.googleapis.com/v1beta'
+} = {}) {
+    /**
+     * Send text to Gemini
+     * @param {Object} request - Generation request
+     * @param {string} request.prompt - Instructions (review or translation prompt)
+     * @param {string} request.text - Text to process
+     * @param {string} request.model - Model name, e.g. gemini-2.0-flash
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxOutputTokens - Maximum tokens in the response
+     * @param {Object} [request.schema] - JSON Schema the response must follow
+     * @returns {Promise<string>} - Response text
+     */
+    async function generate({prompt, text, model, temperature, maxOutputTokens, schema}) {
+        const apiKey = process.env[apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`${apiKeyEnv} is not set`);
+        }
+
+        const response = await axios.post(
+            `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+            {
+                contents: [{
+                    parts: [{text: prompt + " : " + text}]
+                }],
+                generationConfig: {
+                    temperature,
+                    maxOutputTokens,
+                    ...(schema && {
+                        responseMimeType: 'application/json',
+                        responseSchema: toGeminiSchema(schema)
+                    })
+                }
+            }
+        );
+
+        // Extract the response text from Gemini
+        const candidate = response.data && response.data.candidates && response.data.candidates[0];
+        const parts = candidate && candidate.content && candidate.content.parts;
+        if (parts && parts.length > 0) {
+            return parts[0].text;
+        }
+
+        throw new Error('Invalid response format from Gemini API');
+    }
+
+    /**
+     * Get embedding vectors from Gemini
+     * @param {Object} request - Embedding request
+     * @param {Array<string>} request.texts - Texts to embed
+     * @param {string} request.model - Embedding model, e.g. text-embedding-004
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async function embed({texts, model}) {
+        const apiKey = process.env[apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`${apiKeyEnv} is not set`);
+        }
+
+        const response = await axios.post(
+            `${baseUrl}/models/${model}:batchEmbedContents?key=${apiKey}`,
+            {
+                requests: texts.map(text => ({
+                    model: `models/${model}`,
+                    content: {parts: [{text}]}
+                }))
+            }
+        );
+
+        const embeddings = response.data && response.data.embeddings;
+        if (Array.isArray(embeddings)) {
+            return embeddings.map(embedding => embedding.values);
+        }
+
+        throw new Error('Invalid embedding response format from Gemini API');
+    }
+
+    return {name, generate, embed};
+}
+
+module.exports = {
+    createGeminiProvider
+};
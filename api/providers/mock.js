@@ -0,0 +1,83 @@
+// Size of the mock embedding vectors
+const MOCK_DIMENSIONS = 256;
+
+/**
+ * Hash a word to a vector slot (FNV-1a)
+ * @param {string} word - Word to hash
+ * @returns {number} - Slot index
+ */
+function hashWord(word) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash % MOCK_DIMENSIONS;
+}
+
+/**
+ * Create a deterministic offline provider for development and tests
+ * Review scores the first `acceptCount` items of the batch 80 and the rest 40, translation echoes the
+ * article back with a marker, and embeddings are hashed bags of words, so texts that
+ * share most of their words are similar. The whole pipeline runs without network access.
+ * @param {Object} options - Provider options from config.llm.providers
+ * @param {number} [options.acceptCount=5] - Number of items review scores high
+ * @returns {Object} - Provider with name, generate and embed functions
+ */
+function createMockProvider({name = 'mock', acceptCount = 5} = {}) {
+    /**
+     * Produce a canned response for a task
+     * @param {Object} request - Generation request
+     * @param {string} request.task - 'review' or 'translate'
+     * @param {string} request.text - JSON payload built by the task
+     * @returns {Promise<string>} - Response text
+     */
+    async function generate({task, text}) {
+        const input = JSON.parse(text);
+
+        switch (task) {
+            case 'review':
+                return JSON.stringify(input
+                    .filter(item => item.id)
+                    .map((item, index) => ({
+                        id: item.id,
+                        score: index < acceptCount ? 80 : 40,
+                        category: 'world',
+                        rationale: '[mock] review'
+                    })));
+
+            case 'translate':
+                return JSON.stringify({
+                    translatedTitle: `[mock] ${input.title}`,
+                    translatedContent: input.content || ''
+                });
+
+            default:
+                throw new Error(`Mock provider has no response for task "${task}"`);
+        }
+    }
+
+    /**
+     * Embed texts as normalised bags of hashed words
+     * @param {Object} request - Embedding request
+     * @param {Array<string>} request.texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async function embed({texts}) {
+        return texts.map(text => {
+            const vector = new Array(MOCK_DIMENSIONS).fill(0);
+            for (const word of String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+                vector[hashWord(word)] += 1;
+            }
+
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+    }
+
+    return {name, generate, embed};
+}
+
+module.exports = {
+    createMockProvider
+};
@@ -0,0 +1,129 @@
+const axios = require('axios');
+
+/**
+ * Build the response_format for a JSON Schema
+ * Structured output requires an object at the root, so array schemas are wrapped in {items: [...]}.
+ * @param {string} name - Schema name
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - response_format request field
+ */
+function toResponseFormat(name, schema) {
+    const rootSchema = schema.type === 'array' ?
+        {type: 'object', properties: {items: schema}, required: ['items'], additionalProperties: false} :
+        schema;
+
+    return {
+        type: 'json_schema',
+        json_schema: {name, schema: rootSchema}
+    };
+}
+
+/**
+ * Undo the root wrapping done by toResponseFormat
+ * @param {string} content - Response text
+ * @param {Object} schema - JSON Schema of the request
+ * @returns {string} - Response text with the array at the root
+ */
+function unwrapContent(content, schema) {
+    if (schema.type !== 'array') return content;
+
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && Array.isArray(parsed.items) ? JSON.stringify(parsed.items) : content;
+    } catch (error) {
+        // Leave invalid output to the caller's validation
+        return content;
+    }
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint,
+ * e.g. OpenAI itself or a local Ollama / llama.cpp server
+ * @param {Object} options - Provider options from config.llm.providers
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKeyEnv] - Environment variable holding the API key, local servers usually need none
+ * @param {number} [options.timeout=120000] - Request timeout in milliseconds
+ * @returns {Object} - Provider with name, generate and embed functions
+ */
+function createOpenAIProvider({name = 'openai', baseUrl, apiKeyEnv, timeout = 120000} = {}) {
+    if (!baseUrl) {
+        throw new Error(`Provider "${name}" needs a baseUrl`);
+    }
+
+    /**
+     * Build request headers, with the API key if one is configured
+     * @returns {Object} - HTTP headers
+     */
+    function getHeaders() {
+        const headers = {'Content-Type': 'application/json'};
+        const apiKey = apiKeyEnv && process.env[apiKeyEnv];
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Send text to the chat completions endpoint
+     * @param {Object} request - Generation request
+     * @param {string} request.prompt - Instructions, sent as the system message
+     * @param {string} request.text - Text to process, sent as the user message
+     * @param {string} request.model - Model name
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxOutputTokens - Maximum tokens in the response
+     * @param {string} request.task - Task name, used as the schema name
+     * @param {Object} [request.schema] - JSON Schema the response must follow
+     * @returns {Promise<string>} - Response text
+     */
+    async function generate({task, prompt, text, model, temperature, maxOutputTokens, schema}) {
+        const response = await axios.post(
+            `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+            {
+                model,
+                messages: [
+                    {role: 'system', content: prompt},
+                    {role: 'user', content: text}
+                ],
+                temperature,
+                max_tokens: maxOutputTokens,
+                ...(schema && {response_format: toResponseFormat(task, schema)})
+            },
+            {headers: getHeaders(), timeout}
+        );
+
+        const choice = response.data && response.data.choices && response.data.choices[0];
+        if (choice && choice.message && typeof choice.message.content === 'string') {
+            return schema ? unwrapContent(choice.message.content, schema) : choice.message.content;
+        }
+
+        throw new Error(`Invalid response format from ${name}`);
+    }
+
+    /**
+     * Get embedding vectors from the embeddings endpoint
+     * @param {Object} request - Embedding request
+     * @param {Array<string>} request.texts - Texts to embed
+     * @param {string} request.model - Embedding model, e.g. nomic-embed-text
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async function embed({texts, model}) {
+        const response = await axios.post(
+            `${baseUrl.replace(/\/$/, '')}/embeddings`,
+            {model, input: texts},
+            {headers: getHeaders(), timeout}
+        );
+
+        const data = response.data && response.data.data;
+        if (Array.isArray(data)) {
+            return [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+        }
+
+        throw new Error(`Invalid embedding response format from ${name}`);
+    }
+
+    return {name, generate, embed};
+}
+
+module.exports = {
+    createOpenAIProvider
+};
@@ -0,0 +1,33 @@
+// Response schemas for the LLM tasks, sent to providers that support structured output
+// and used to validate every response
+
+// One entry per reviewed item: relevance score from 0 to 100, topic category and a short rationale
+const REVIEW_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            id: {type: 'string', minLength: 1},
+            score: {type: 'number', minimum: 0, maximum: 100},
+            category: {type: 'string', minLength: 1},
+            rationale: {type: 'string'}
+        },
+        required: ['id', 'score', 'category', 'rationale'],
+        additionalProperties: false
+    }
+};
+
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        translatedTitle: {type: 'string', minLength: 1},
+        translatedContent: {type: 'string', minLength: 1}
+    },
+    required: ['translatedTitle', 'translatedContent'],
+    additionalProperties: false
+};
+
+module.exports = {
+    REVIEW_SCHEMA,
+    TRANSLATION_SCHEMA
+};
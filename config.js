@@ -1,114 +1,12 @@
+const path = require('path');
+const {loadSettings, SettingsError} = require('./utils/settings');
+
 const config = {
-    // News sources with their selectors
-    sources: {
-        "MehrNews": {
-            url: "https://www.mehrnews.com/archive",
-            selectors: {
-                newsContainer: 'li.news',
-                title: 'h3 a',
-                link: 'h3 a',
-                text: 'article .item-body',
-                remove: 'article .item-header',
-                image: 'head > meta[property="og:image"]',
-                video: "video.jw-video.jw-reset"
-            }
-        },
-        "IranIntl": {
-            url: "https://www.iranintl.com/en/iran-insights",
-            selectors: {
-                newsContainer: 'article',
-                title: 'h3',
-                link: 'header > a',
-                text: 'article main > section',
-                remove: 'figure',
-                image: 'head > meta[property="og:image"]',
-                video: "video.jw-video.jw-reset"
-            }
-        },
-        "Apnews": {
-            url: "https://apnews.com/world-news",
-            selectors: {
-                newsContainer: '.PagePromo',
-                title: 'h3 span.PagePromoContentIcons-text',
-                link: 'h3.PagePromo-title > a',
-                text: '.RichTextStoryBody.RichTextBody,.VideoPage-pageSubHeading',
-                remove: '.RichTextStoryBody.RichTextBody > div',
-                image: 'head > meta[property="og:image"]',
-                video: "video.jw-video.jw-reset"
-            }
-        },
-        "NDTV": {
-            url: "https://www.ndtv.com/world",
-            selectors: {
-                newsContainer: '.crd-b.crd-b_h-at.res_crd-1,li.ls-ns_li,li.crd-d_v1-li',
-                title: '.crd_lnk a,h1.crd_ttl7 a',
-                link: '.crd_lnk a,h1.crd_ttl7 a',
-                text: '.Art-exp_cn',
-                remove: 'div#ndpl-iframe,iframe',
-                image: 'head > meta[property="og:image"]',
-                video: ""
-            }
-        },
-        "CNN": {
-            url: "https://edition.cnn.com/world",
-            selectors: {
-                newsContainer: 'a.container__link.container__link--type-article.container_lead-plus-headlines__link',
-                title: 'span.container__headline-text',
-                link: '',
-                text: '.article__content,.video-resource__description',
-                remove: '.container.container_list-headlines-ranked,.container.container_list-headlines-with-read-times',
-                image: 'head > meta[property="og:image"]',
-                video: "video#bitmovinplayer-video-top-player-container-1"
-            }
-        },
-        "BBC": {
-            url: "https://www.bbc.com/news",
-            selectors: {
-                newsContainer: '[data-testid="anchor-inner-wrapper"]',
-                title: 'h2',
-                link: 'a',
-                text: 'main#main-content > article',
-                remove: 'article [data-component="headline-block"], article [data-component="byline-block"],article [data-component="video-block"],article [data-testid="ad-unit"],article [data-component="links-block"],article figure',
-                image: 'head > meta[property="og:image"]',
-                video: ""
-            }
-        },
-        "Time": {
-            url: "https://time.com/section/world/",
-            selectors: {
-                newsContainer: 'a',
-                title: 'h2.headline',
-                link: '',
-                text: 'article#article-body',
-                remove: 'section[aria-labelledby="intro-section"],article#article-body > div > div',
-                image: 'head > meta[property="og:image"]',
-                video: ""
-            }
-        },
-        "WashingtonPost": {
-            url: "https://www.washingtonpost.com/world/",
-            selectors: {
-                newsContainer: '.story-headline',
-                title: 'h3',
-                link: 'a',
-                text: '.grid-body .teaser-content',
-                remove: '.grid-body>div[data-testid="byline-container"],.grid-body [data-testid="subscribe-promo-button"]',
-                image: 'head > meta[property="og:image"]',
-                video: ""
-            }
-        },
-        "NBCNews": {
-            url: "https://www.nbcnews.com/world",
-            selectors: {
-                newsContainer: '.headline-standard,li h2',
-                title: 'h2,a',
-                link: 'h2 a,a',
-                text: '.article-body',
-                remove: '.article-body > section , .article-body figure,.article-body .recommended-intersection-ref,.article-body section.inline-video.inline-video--in-body',
-                image: 'head > meta[property="og:image"]',
-                video: ""
-            }
-        }
+    // Sources, filter rules and prompt templates are read from YAML or JSON files in this directory
+    // (sources, filters and prompts) and checked at startup; the daemon reloads them when they change.
+    settings: {
+        dir: path.join(__dirname, 'settings'),
+        reload: true
     },
 
     // Browser settings
@@ -128,6 +26,13 @@ const config = {
         ignoreHTTPSErrors: true,
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36',
         viewport: {width: 1920, height: 1080},
+        // Shared browser pool used by the scraper
+        pool: {
+            maxPages: 3,                // Pages (and sources) scraped concurrently
+            pageReuseLimit: 20,         // Close a page after this many uses
+            browserReuseLimit: 200,     // Restart the browser after it has created this many pages
+            idleTimeout: 60 * 1000      // Close the browser after it has been unused this long
+        },
         headers: {
             'Accept-Language': 'en-US,en;q=0.9',
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
@@ -139,7 +44,221 @@ const config = {
             'Cache-Control': 'max-age=0'
         }
     },
-    filters: ['خامنه‌ای', 'فلسطین', 'شهید رئیسی', 'رهبر انقلاب', 'قرآن', 'نماز', 'صهیونیستی', 'دفاع مقدس', 'ابراهیم رئیسی']
+    // Settings for sources with fetchMode 'http' (sources default to 'browser')
+    http: {
+        timeout: 30000
+    },
+
+    // Images are downloaded, checked and re-encoded before they are uploaded to Telegram
+    media: {
+        cacheDir: './media-cache',
+        cacheMaxAge: 7 * 24 * 60 * 60 * 1000, // delete cached files after a week
+        maxDownloadSize: 20 * 1024 * 1024,
+        minDimension: 200, // smaller images are usually icons or tracking pixels
+        maxDimension: 2560, // longer side after resizing
+        maxAspectRatio: 20, // Telegram rejects photos that are narrower
+        maxPhotoSize: 10 * 1024 * 1024, // Telegram's photo upload limit
+        jpegQuality: 85,
+        // Overlay a logo (image, a PNG path) or a text on published images
+        // Targets can override this with their own `watermark` entry or turn it off with `watermark: false`.
+        watermark: {
+            enabled: false,
+            image: './assets/watermark.png',
+            text: '',
+            position: 'southeast', // north, northeast, east, southeast, south, southwest, west, northwest or center
+            width: 0.2, // fraction of the image width
+            opacity: 0.7,
+            margin: 0.03 // fraction of the image width
+        }
+    },
+
+    // LLM providers used for review and translation
+    llm: {
+        // Backends by name; `type` is 'gemini', 'openai' (any OpenAI-compatible endpoint) or 'mock'
+        providers: {
+            gemini: {type: 'gemini', apiKeyEnv: 'GEMINI_API_KEY'},
+            local: {type: 'openai', baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'OPENAI_API_KEY'},
+            mock: {type: 'mock'}
+        },
+        // How long a provider that failed is skipped in favour of the next one in the chain
+        failoverCooldown: 5 * 60 * 1000,
+        // How many times a response that does not match its JSON schema is re-requested
+        maxRepairAttempts: 1,
+        // Per-task settings; `providers` is the failover chain, tried in order
+        tasks: {
+            review: {
+                temperature: 0.7,
+                maxOutputTokens: 4048,
+                providers: [
+                    {provider: 'gemini', model: 'gemini-2.0-flash'}
+                ]
+            },
+            translate: {
+                temperature: 0.7,
+                maxOutputTokens: 4048,
+                providers: [
+                    {provider: 'gemini', model: 'gemini-2.0-flash'}
+                ]
+            },
+            // Embeddings for duplicate detection; the mock provider hashes words, local servers need an embedding model
+            embed: {
+                providers: [
+                    {provider: 'gemini', model: 'text-embedding-004'}
+                ]
+            }
+        }
+    },
+
+    // Review scores every pending item from 0 to 100 with a topic category and a short rationale
+    // Each run accepts the best scored items reaching `minScore` (or `categoryMinScores[category]`), at most
+    // `maxPerRun` per run and `dailyQuota` per 24 hours. Items below `rejectBelow` are rejected; the others
+    // stay pending and compete again in later runs until they are `maxAge` old.
+    review: {
+        batchSize: 100, // unscored items sent to the LLM per run
+        minScore: 60,
+        rejectBelow: 20,
+        categoryMinScores: {
+            // sports: 50
+        },
+        maxPerRun: 5,
+        dailyQuota: 60,
+        maxAge: 24 * 60 * 60 * 1000,
+        // Added to the review prompt so categoryMinScores can refer to them
+        categories: ['iran', 'middle_east', 'world', 'economy', 'technology', 'science', 'sports', 'culture', 'other']
+    },
+
+    // Near-duplicate detection before review: pending titles are embedded and compared with recent items
+    // An item at least `threshold` similar to an item that is still in the pipeline is rejected as a duplicate.
+    // Items at least `storyThreshold` similar share a story_id; with `attribution` published posts name the
+    // other sources of their story ("also reported by").
+    // When embeddings are unavailable, recent published titles are sent with the review prompt instead.
+    dedup: {
+        enabled: true,
+        threshold: 0.88, // cosine similarity
+        storyThreshold: 0.8,
+        attribution: true,
+        window: 48 * 60 * 60 * 1000, // compare with items embedded in the last 48 hours
+        maxCandidates: 5000,
+        batchSize: 100 // texts per embedding request
+    },
+
+    // Retry policy for LLM and Telegram calls (429, 5xx and transient network errors)
+    retry: {
+        retries: 3,
+        minDelay: 1000,             // First backoff, doubled on every retry (with jitter)
+        maxDelay: 30 * 1000,
+        factor: 2,
+        maxRetryAfter: 2 * 60 * 1000 // A longer Retry-After fails the call instead of waiting
+    },
+
+    // Token bucket limits per stage and provider: `tokens` requests per `interval` ms, bursts up to `capacity`
+    rateLimits: {
+        review: {
+            gemini: {tokens: 10, interval: 60 * 1000}
+        },
+        translate: {
+            gemini: {tokens: 10, interval: 60 * 1000}
+        },
+        embed: {
+            gemini: {tokens: 60, interval: 60 * 1000}
+        },
+        publish: {
+            // Telegram allows about 20 messages per minute in a channel
+            telegram: {tokens: 20, interval: 60 * 1000, capacity: 1}
+        },
+        moderate: {
+            telegram: {tokens: 20, interval: 60 * 1000, capacity: 1}
+        }
+    },
+
+    // Channels news is published to, each with its own language, prompt and signature
+    // Settings can be given directly (channelId: '-100123') or read from the environment (channelIdEnv: 'NAME').
+    // filter.sources limits a target to some sources, filter.keywords to items mentioning one of the keywords.
+    // News is translated once per language and published to every target it matches.
+    targets: {
+        main: {
+            channelIdEnv: 'TARGET_CHANNEL_ID',
+            language: 'fa',
+            promptTemplate: 'translate', // from settings/prompts, falling back to promptEnv
+            promptEnv: 'GEMINI_PROMPT_TRANSLATE',
+            signatureEnv: 'SIGNATURE',
+            filter: {}
+        }
+    },
+
+    // Labels of published posts by target language; languages without an entry use the English ones
+    // A target can change single labels with its own `labels`, e.g. labels: {source: 'Quelle'}
+    labels: {
+        en: {source: 'Source', alsoIn: 'Also in', separator: ', ', image: 'News image', video: 'News video', correction: 'Correction'},
+        fa: {source: 'منبع', alsoIn: 'همچنین در', separator: '، ', image: 'تصویر خبر', video: 'ویدیو خبر', correction: 'اصلاحیه'}
+    },
+
+    // Editor approval before publishing: translated news is sent to ADMIN_CHAT_ID and only
+    // items approved there by ALLOWED_USERNAMES are published to the targets
+    // Editors review and edit the translation of the first matching target.
+    moderation: {
+        enabled: false
+    },
+
+    // Failed attempts after which an item moves to the failed status
+    maxAttempts: {
+        review: 3,      // runs whose review returned no valid score for the item
+        translate: 3,
+        publish: 5
+    },
+
+    // Source health (node index.js sources:status); problems are sent to ADMIN_CHAT_ID
+    // A source is flagged when its last `alertAfterRuns` listing runs failed, or found fewer than `dropRatio`
+    // times its baseline: the median item count of up to `baselineRuns` earlier successful runs.
+    // Article scrapes are flagged when too many of the last `articleWindow` had no text or no image.
+    health: {
+        baselineRuns: 20,
+        minBaselineRuns: 3,     // Runs needed before a baseline is trusted
+        minBaseline: 3,         // Sources that usually find fewer items are not checked for low yield
+        dropRatio: 0.3,
+        alertAfterRuns: 2,
+        articleWindow: 10,
+        minArticles: 3,
+        maxEmptyContentRate: 0.3,
+        maxMissingImageRate: 0.8,
+        alertCooldown: 6 * 60 * 60 * 1000 // Repeat an unchanged alert after this long
+    },
+
+    // Local REST API and dashboard (node index.js api)
+    // Requests that change items need `Authorization: Bearer <token>` when the variable named by tokenEnv is set.
+    api: {
+        host: '127.0.0.1',
+        port: 8080,
+        tokenEnv: 'API_TOKEN',
+        // Host headers the API answers to besides localhost and `host`, e.g. '192.168.1.10:8080' or a proxy's name
+        allowedHosts: [],
+        withDaemon: false // also serve the API while the daemon runs
+    },
+
+    // Daemon mode settings (node index.js daemon)
+    daemon: {
+        intervals: {
+            scrape: 10 * 60 * 1000,     // Default per-source scrape interval, overridable with source.interval
+            review: 10 * 60 * 1000,
+            translate: 5 * 60 * 1000,
+            moderate: 5 * 60 * 1000,    // Only used when moderation is enabled or a filter rule flags items
+            publish: 5 * 60 * 1000,
+            cleanup: 24 * 60 * 60 * 1000
+        },
+        // Stages other than cleanup only run between these hours; set to null to run around the clock
+        activeHours: {from: 8, to: 24, timeZone: 'Asia/Tehran'},
+        startupStagger: 15 * 1000,      // Delay between the first runs of consecutive jobs
+        shutdownTimeout: 5 * 60 * 1000  // How long to wait for running stages on SIGTERM
+    }
 };
 
+// Sources, filters and prompts from the settings files; invalid settings stop the process
+try {
+    Object.assign(config, loadSettings(config.settings.dir));
+} catch (error) {
+    if (!(error instanceof SettingsError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+
 module.exports = {config};
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Original news table; IF NOT EXISTS adopts databases created before migrations existed
+module.exports = {
+    description: 'Create news table',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news (
+                id TEXT PRIMARY KEY,
+                title TEXT NOT NULL,
+                link TEXT NOT NULL,
+                source TEXT,
+                image_url TEXT,
+                video_url TEXT,
+                content TEXT,
+                translated_title TEXT,
+                translated_content TEXT,
+                status TEXT DEFAULT 'pending_review',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,10 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Add summary and published_at for feed sources',
+
+    async up(db) {
+        await addColumn(db, 'news', 'summary', 'TEXT');
+        await addColumn(db, 'news', 'published_at', 'TIMESTAMP');
+    }
+};
@@ -0,0 +1,9 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Add validation_error for invalid LLM responses',
+
+    async up(db) {
+        await addColumn(db, 'news', 'validation_error', 'TEXT');
+    }
+};
@@ -0,0 +1,20 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Track failed attempts per stage',
+
+    async up(db) {
+        await addColumn(db, 'news', 'failed_stage', 'TEXT');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news_attempts (
+                news_id TEXT NOT NULL,
+                stage TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                last_attempt_at TIMESTAMP,
+                PRIMARY KEY (news_id, stage)
+            )
+        `);
+    }
+};
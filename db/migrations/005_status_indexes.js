@@ -0,0 +1,10 @@
+module.exports = {
+    description: 'Index news by status and creation time',
+
+    async up(db) {
+        // getNewsByStatus and getNewsByStatusInLast24Hours filter on status and sort by created_at
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_status_created_at ON news (status, created_at)');
+        // cleanupOldRecords sorts and deletes by created_at alone
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_created_at ON news (created_at)');
+    }
+};
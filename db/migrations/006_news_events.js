@@ -0,0 +1,18 @@
+module.exports = {
+    description: 'Record status transitions of news items',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                news_id TEXT NOT NULL,
+                previous_status TEXT,
+                new_status TEXT NOT NULL,
+                stage TEXT,
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_events_news_id ON news_events (news_id, id)');
+    }
+};
@@ -0,0 +1,35 @@
+module.exports = {
+    description: 'Store translations per language and publish state per target',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news_translations (
+                news_id TEXT NOT NULL,
+                language TEXT NOT NULL,
+                title TEXT NOT NULL,
+                content TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (news_id, language)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news_publications (
+                news_id TEXT NOT NULL,
+                target TEXT NOT NULL,
+                chat_id TEXT,
+                published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (news_id, target)
+            )
+        `);
+
+        // Everything translated before targets existed was Persian
+        await db.exec(`
+            INSERT OR IGNORE INTO news_translations (news_id, language, title, content, created_at, updated_at)
+            SELECT id, 'fa', translated_title, translated_content, updated_at, updated_at
+            FROM news
+            WHERE translated_title IS NOT NULL AND translated_content IS NOT NULL
+        `);
+    }
+};
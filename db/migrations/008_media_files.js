@@ -0,0 +1,18 @@
+module.exports = {
+    description: 'Remember Telegram file_ids of uploaded images',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS media_files (
+                url TEXT NOT NULL,
+                variant TEXT NOT NULL,
+                file_id TEXT NOT NULL,
+                width INTEGER,
+                height INTEGER,
+                size INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (url, variant)
+            )
+        `);
+    }
+};
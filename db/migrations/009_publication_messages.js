@@ -0,0 +1,23 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Store Telegram message ids of published posts',
+
+    async up(db) {
+        // 'text' for posts edited with editMessageText, 'caption' for photo, video and media group posts
+        await addColumn(db, 'news_publications', 'message_type', 'TEXT');
+        await addColumn(db, 'news_publications', 'retracted_at', 'TIMESTAMP');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS publication_messages (
+                news_id TEXT NOT NULL,
+                target TEXT NOT NULL,
+                message_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                position INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (news_id, target, message_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,19 @@
+module.exports = {
+    description: 'Store title embeddings and story clusters for duplicate detection',
+
+    async up(db) {
+        // vector is a Float32Array; cluster_id is the id of the first item of the story
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS news_embeddings (
+                news_id TEXT PRIMARY KEY,
+                model TEXT NOT NULL,
+                vector BLOB NOT NULL,
+                cluster_id TEXT NOT NULL,
+                similarity REAL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_embeddings_model_created ON news_embeddings (model, created_at)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_embeddings_cluster ON news_embeddings (cluster_id)');
+    }
+};
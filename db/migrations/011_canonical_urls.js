@@ -0,0 +1,33 @@
+const {addColumn} = require('../migrator');
+const {getDedupKey} = require('../../utils/url');
+
+module.exports = {
+    description: 'Store canonical URLs, dedup keys and story ids of news items',
+
+    async up(db) {
+        // story_id is the id of the first item of a story, shared by items of other sources covering it
+        await addColumn(db, 'news', 'canonical_url', 'TEXT');
+        await addColumn(db, 'news', 'dedup_key', 'TEXT');
+        await addColumn(db, 'news', 'story_id', 'TEXT');
+
+        const rows = await db.all('SELECT id, link FROM news WHERE dedup_key IS NULL');
+        for (const row of rows) {
+            await db.run(
+                'UPDATE news SET dedup_key = ? WHERE id = ?',
+                [getDedupKey(row.link), row.id]
+            );
+        }
+
+        // Items embedded before story ids existed already belong to a cluster
+        await db.exec(`
+            UPDATE news SET story_id = COALESCE(
+                (SELECT cluster_id FROM news_embeddings WHERE news_embeddings.news_id = news.id),
+                id
+            )
+            WHERE story_id IS NULL
+        `);
+
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_dedup_key ON news (dedup_key)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_story_id ON news (story_id)');
+    }
+};
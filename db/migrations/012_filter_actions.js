@@ -0,0 +1,12 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Store the priority and flag reason set by filter rules',
+
+    async up(db) {
+        // Items with a lower priority are translated and published after the others
+        await addColumn(db, 'news', 'priority', 'INTEGER DEFAULT 0');
+        // Flagged items are published only after an editor approves them
+        await addColumn(db, 'news', 'flag_reason', 'TEXT');
+    }
+};
@@ -0,0 +1,15 @@
+const {addColumn} = require('../migrator');
+
+module.exports = {
+    description: 'Store the review score, category and rationale of news items',
+
+    async up(db) {
+        await addColumn(db, 'news', 'review_score', 'REAL');
+        await addColumn(db, 'news', 'review_category', 'TEXT');
+        await addColumn(db, 'news', 'review_rationale', 'TEXT');
+        await addColumn(db, 'news', 'reviewed_at', 'TIMESTAMP');
+
+        // The daily review quota counts accepted items by stage and time
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_news_events_stage_created ON news_events (stage, new_status, created_at)');
+    }
+};
@@ -0,0 +1,32 @@
+module.exports = {
+    description: 'Record listing and article scrapes per source and the health alerts sent about them',
+
+    async up(db) {
+        // kind is 'listing' for a run over the source's front page or feed, 'article' for one article page;
+        // empty_content and missing_image are only set for article scrapes
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS scrape_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                item_count INTEGER NOT NULL DEFAULT 0,
+                empty_content INTEGER,
+                missing_image INTEGER,
+                duration_ms INTEGER,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_scrape_runs_source_kind ON scrape_runs (source, kind, id)');
+
+        // problems holds the problem codes of the last alert so the same alert is not repeated every run
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS source_alerts (
+                source TEXT PRIMARY KEY,
+                problems TEXT NOT NULL,
+                message TEXT,
+                alerted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Add a column unless the table already has it
+ * Lets migrations run on databases that were patched by hand before migrations existed.
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} type - SQL type and constraints
+ * @returns {Promise<void>}
+ */
+async function addColumn(db, table, column, type) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
+/**
+ * Load migration files, named NNN_description.js, ordered by number
+ * @returns {Array} - Migrations with version, name, description and up
+ */
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                version: parseInt(file, 10),
+                name: path.basename(file, '.js'),
+                description: migration.description || '',
+                up: migration.up
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_version table if needed and return the applied versions
+ * @param {Object} db - Database connection
+ * @returns {Promise<Map>} - Map of version to applied_at
+ */
+async function getAppliedVersions(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const rows = await db.all('SELECT version, applied_at FROM schema_version');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @param {Object} db - Database connection
+ * @returns {Promise<number>} - Number of applied migrations
+ */
+async function runMigrations(db) {
+    const applied = await getAppliedVersions(db);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.name}...`);
+        await db.exec('BEGIN');
+        try {
+            await migration.up(db);
+            await db.run(
+                'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+            await db.exec('COMMIT');
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            console.error(`Migration ${migration.name} failed:`, error);
+            throw error;
+        }
+    }
+
+    return pending.length;
+}
+
+/**
+ * Get every known migration with whether it has been applied
+ * @param {Object} db - Database connection
+ * @returns {Promise<Array>} - Migrations with version, name, description and applied_at (null if pending)
+ */
+async function getMigrationStatus(db) {
+    const applied = await getAppliedVersions(db);
+
+    return loadMigrations().map(({version, name, description}) => ({
+        version,
+        name,
+        description,
+        applied_at: applied.get(version) || null
+    }));
+}
+
+module.exports = {
+    addColumn,
+    runMigrations,
+    getMigrationStatus
+};
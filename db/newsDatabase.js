@@ -1,50 +1,77 @@
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const { generateHash } = require('../utils/helpers');
+const { getDedupKey } = require('../utils/url');
+const { runMigrations, getMigrationStatus } = require('./migrator');
 
 // Define status enum
 const StatusEnum = {
     PENDING_REVIEW: 'pending_review',
     PENDING_TRANSLATION: 'pending_translation',
     TRANSLATED: 'translated',
+    AWAITING_APPROVAL: 'awaiting_approval',
+    APPROVED: 'approved',
     PUBLISHED: 'published',
-    REJECTED: 'rejected'
+    REJECTED: 'rejected',
+    FAILED: 'failed',
+    RETRACTED: 'retracted'
+};
+
+// Status an item returns to when a failed stage is requeued
+const StageInputStatus = {
+    review: StatusEnum.PENDING_REVIEW,
+    translate: StatusEnum.PENDING_TRANSLATION,
+    publish: StatusEnum.TRANSLATED
 };
 
 let db;
 
 /**
  * Initialize the database
+ * @param {Object} options - Options
+ * @param {boolean} [options.migrate=true] - Apply pending schema migrations
  * @returns {Promise<void>}
  */
-async function initDatabase() {
+async function initDatabase({migrate = true} = {}) {
     // Open database connection
     db = await open({
         filename: './news.db',
         driver: sqlite3.Database
     });
 
-    // Create tables if they don't exist
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS news (
-                                            id TEXT PRIMARY KEY,
-                                            title TEXT NOT NULL,
-                                            link TEXT NOT NULL,
-                                            source TEXT,
-                                            image_url TEXT,
-                                            video_url TEXT,
-                                            content TEXT,
-                                            translated_title TEXT,
-                                            translated_content TEXT,
-                                            status TEXT DEFAULT '${StatusEnum.PENDING_REVIEW}',
-                                            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                                            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
+    // Bring the schema up to date
+    if (migrate) {
+        await migrateDatabase();
+    }
 
     console.log('Database initialized');
 }
 
+/**
+ * Apply pending schema migrations
+ * @returns {Promise<number>} - Number of applied migrations
+ */
+async function migrateDatabase() {
+    try {
+        const applied = await runMigrations(db);
+        if (applied > 0) {
+            console.log(`Applied ${applied} migrations`);
+        }
+        return applied;
+    } catch (error) {
+        console.error('Error migrating database:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the applied and pending schema migrations
+ * @returns {Promise<Array>} - Migrations with version, name, description and applied_at
+ */
+async function getSchemaStatus() {
+    return getMigrationStatus(db);
+}
+
 /**
  * Insert a news item into the database
  * @param {Object} newsItem - The news item to insert
@@ -53,22 +80,40 @@ async function initDatabase() {
 async function insertNewsItem(newsItem) {
     // Generate unique ID based on title and link
     const id = generateHash(newsItem.title + newsItem.link);
+    // The link is stored as scraped, it is the one known to work; the canonical form only feeds the dedup key
+    const dedupKey = getDedupKey(newsItem.link);
 
     try {
-        // Check if news already exists
-        const existingNews = await db.get('SELECT id FROM news WHERE id = ?', id);
+        // Check if news already exists, also under another title or with tracking parameters in the link
+        const existingNews = await db.get('SELECT id FROM news WHERE id = ? OR dedup_key = ?', [id, dedupKey]);
 
         if (existingNews) {
             console.log(`News item already exists: ${newsItem.title}`);
-            return id;
+            return existingNews.id;
         }
 
-        // Insert news item
+        // Insert news item, feed sources may already carry summary, content, image and date
         await db.run(
-            'INSERT INTO news (id, title, link, source, status) VALUES (?, ?, ?, ?, ?)',
-            [id, newsItem.title, newsItem.link, newsItem.source || '', StatusEnum.PENDING_REVIEW]
+            `INSERT INTO news (id, title, link, dedup_key, story_id, source, summary, content, image_url, published_at, priority, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                newsItem.title,
+                newsItem.link,
+                dedupKey,
+                id,
+                newsItem.source || '',
+                newsItem.summary || null,
+                newsItem.content || null,
+                newsItem.image_url || null,
+                newsItem.published_at || null,
+                newsItem.priority || 0,
+                StatusEnum.PENDING_REVIEW
+            ]
         );
 
+        await recordNewsEvent(id, null, StatusEnum.PENDING_REVIEW, {stage: 'scrape', reason: `Scraped from ${newsItem.source || 'unknown source'}`});
+
         console.log(`Inserted news: ${newsItem.title}`);
         return id;
     } catch (error) {
@@ -77,14 +122,96 @@ async function insertNewsItem(newsItem) {
     }
 }
 
+/**
+ * Record a status transition in the news_events table
+ * @param {string} id - The ID of the news item
+ * @param {string|null} previousStatus - Status before the transition, null for new items
+ * @param {string} newStatus - Status after the transition
+ * @param {Object} event - Context of the transition
+ * @param {string} [event.stage] - Pipeline stage that made the change
+ * @param {string} [event.reason] - Why the status changed, e.g. the matched filter keyword
+ * @returns {Promise<void>}
+ */
+async function recordNewsEvent(id, previousStatus, newStatus, {stage = null, reason = null} = {}) {
+    try {
+        await db.run(
+            'INSERT INTO news_events (news_id, previous_status, new_status, stage, reason) VALUES (?, ?, ?, ?, ?)',
+            [id, previousStatus, newStatus, stage, reason]
+        );
+    } catch (error) {
+        console.error('Error recording news event:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the status history of a news item, oldest first
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Array>} - Events with previous_status, new_status, stage, reason and created_at
+ */
+async function getNewsEvents(id) {
+    try {
+        return await db.all('SELECT * FROM news_events WHERE news_id = ? ORDER BY id', id);
+    } catch (error) {
+        console.error('Error getting news events:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count status changes a stage made within a time window
+ * @param {string} stage - Stage recorded with the events
+ * @param {string} newStatus - Status the items moved to
+ * @param {number} window - Window in milliseconds
+ * @returns {Promise<number>} - Number of events
+ */
+async function countNewsEventsSince(stage, newStatus, window) {
+    try {
+        const row = await db.get(
+            `SELECT COUNT(*) AS count FROM news_events
+             WHERE stage = ? AND new_status = ? AND created_at >= datetime('now', ?)`,
+            [stage, newStatus, `-${Math.round(window / 1000)} seconds`]
+        );
+        return row.count;
+    } catch (error) {
+        console.error('Error counting news events:', error);
+        throw error;
+    }
+}
+
+/**
+ * Store the review result of a news item
+ * @param {string} id - The ID of the news item
+ * @param {Object} review - Review result
+ * @param {number} review.score - Relevance score from 0 to 100
+ * @param {string} review.category - Topic category
+ * @param {string} review.rationale - Why the item got its score
+ * @returns {Promise<void>}
+ */
+async function saveReviewScore(id, {score, category, rationale}) {
+    try {
+        await db.run(
+            `UPDATE news SET review_score = ?, review_category = ?, review_rationale = ?, validation_error = NULL,
+             reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [score, category, rationale, id]
+        );
+    } catch (error) {
+        console.error('Error saving review score:', error);
+        throw error;
+    }
+}
+
 /**
  * Update a news item in the database
  * @param {string} id - The ID of the news item to update
  * @param {Object} updates - The fields to update
+ * @param {Object} event - Stage and reason recorded when updates change the status
  * @returns {Promise<void>}
  */
-async function updateNewsItem(id, updates) {
+async function updateNewsItem(id, updates, event = {}) {
     try {
+        const previous = updates.status !== undefined ? await db.get('SELECT status FROM news WHERE id = ?', id) : null;
+
         // Create SET part of SQL query dynamically
         const fields = Object.keys(updates)
             .filter(key => key !== 'id') // Don't update ID
@@ -103,6 +230,10 @@ async function updateNewsItem(id, updates) {
             [...values, id]
         );
 
+        if (previous && previous.status !== updates.status) {
+            await recordNewsEvent(id, previous.status, updates.status, event);
+        }
+
         console.log(`Updated news item: ${id}`);
     } catch (error) {
         console.error('Error updating news item:', error);
@@ -118,8 +249,9 @@ async function updateNewsItem(id, updates) {
  */
 async function getNewsByStatus(status, limit = 100) {
     try {
+        // Items lowered by filter rules come after the others
         return await db.all(
-            'SELECT * FROM news WHERE status = ? ORDER BY created_at DESC LIMIT ?',
+            'SELECT * FROM news WHERE status = ? ORDER BY priority DESC, created_at DESC LIMIT ?',
             [status, limit]
         );
     } catch (error) {
@@ -142,6 +274,101 @@ async function getNewsByStatusInLast24Hours(status, limit = 100) {
 }
 
 
+/**
+ * Search news items
+ * @param {Object} filters - Search filters, all optional
+ * @param {string} [filters.status] - Status of the items
+ * @param {string} [filters.source] - Source name
+ * @param {string} [filters.query] - Text in the title or link
+ * @param {string} [filters.from] - Created at or after this date (YYYY-MM-DD or ISO timestamp)
+ * @param {string} [filters.to] - Created before this date
+ * @param {number} [filters.limit=50] - Maximum number of items
+ * @param {number} [filters.offset=0] - Number of items to skip
+ * @returns {Promise<Object>} - {total, items}, newest first
+ */
+async function searchNews({status, source, query, from, to, limit = 50, offset = 0} = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (source) {
+        conditions.push('source = ?');
+        params.push(source);
+    }
+    if (query) {
+        conditions.push('(title LIKE ? OR link LIKE ?)');
+        params.push(`%${query}%`, `%${query}%`);
+    }
+    // created_at is stored as 'YYYY-MM-DD HH:MM:SS' in UTC, datetime() brings the bounds into the same form
+    if (from) {
+        conditions.push('created_at >= datetime(?)');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('created_at < datetime(?)');
+        params.push(to);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    try {
+        const {total} = await db.get(`SELECT COUNT(*) AS total FROM news ${where}`, params);
+        const items = await db.all(
+            `SELECT id, title, link, source, status, failed_stage, review_score, review_category, created_at, updated_at
+             FROM news ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        return {total, items};
+    } catch (error) {
+        console.error('Error searching news:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count news items per status
+ * @returns {Promise<Object>} - Count by status, 0 for statuses without items
+ */
+async function getStatusCounts() {
+    try {
+        const rows = await db.all('SELECT status, COUNT(*) AS count FROM news GROUP BY status');
+        const counts = Object.fromEntries(Object.values(StatusEnum).map(status => [status, 0]));
+        rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+        return counts;
+    } catch (error) {
+        console.error('Error counting news by status:', error);
+        throw error;
+    }
+}
+
+/**
+ * Summarise the items of every source
+ * @param {number} window - Window in milliseconds for the recent counts
+ * @returns {Promise<Array>} - Rows with source, total, recent, published, rejected, failed and last_created_at
+ */
+async function getSourceStats(window = 24 * 60 * 60 * 1000) {
+    try {
+        return await db.all(
+            `SELECT source,
+                    COUNT(*) AS total,
+                    SUM(created_at >= datetime('now', ?)) AS recent,
+                    SUM(status = ?) AS published,
+                    SUM(status = ?) AS rejected,
+                    SUM(status = ?) AS failed,
+                    MAX(created_at) AS last_created_at
+             FROM news GROUP BY source ORDER BY source`,
+            [`-${Math.round(window / 1000)} seconds`, StatusEnum.PUBLISHED, StatusEnum.REJECTED, StatusEnum.FAILED]
+        );
+    } catch (error) {
+        console.error('Error getting source stats:', error);
+        throw error;
+    }
+}
+
 /**
  * Get a news item by ID
  * @param {string} id - The ID of the news item
@@ -156,19 +383,76 @@ async function getNewsById(id) {
     }
 }
 
+/**
+ * Find another news item with the same dedup key
+ * @param {string} dedupKey - Dedup key of a canonical URL
+ * @param {string} excludeId - ID of the item that is checked
+ * @returns {Promise<Object|null>} - The oldest other item with the key, or null
+ */
+async function findNewsByDedupKey(dedupKey, excludeId) {
+    try {
+        return await db.get(
+            'SELECT * FROM news WHERE dedup_key = ? AND id != ? ORDER BY created_at LIMIT 1',
+            [dedupKey, excludeId]
+        );
+    } catch (error) {
+        console.error('Error finding news by dedup key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Assign a news item to a story
+ * @param {string} id - The ID of the news item
+ * @param {string} storyId - ID of the first item of the story
+ * @returns {Promise<void>}
+ */
+async function setStoryId(id, storyId) {
+    try {
+        await db.run('UPDATE news SET story_id = ? WHERE id = ?', [storyId, id]);
+    } catch (error) {
+        console.error('Error setting story id:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the news items of a story, oldest first
+ * @param {string} storyId - ID of the first item of the story
+ * @returns {Promise<Array>} - Rows with id, title, link, canonical_url, source and status
+ */
+async function getStoryNews(storyId) {
+    try {
+        return await db.all(
+            'SELECT id, title, link, canonical_url, source, status FROM news WHERE story_id = ? ORDER BY created_at',
+            storyId
+        );
+    } catch (error) {
+        console.error('Error getting story news:', error);
+        throw error;
+    }
+}
+
 /**
  * Update news status
  * @param {string} id - The ID of the news item
  * @param {string} status - The new status
+ * @param {Object} event - Stage and reason of the transition
  * @returns {Promise<void>}
  */
-async function updateNewsStatus(id, status) {
+async function updateNewsStatus(id, status, event = {}) {
     try {
+        const previous = await db.get('SELECT status FROM news WHERE id = ?', id);
+
         await db.run(
             'UPDATE news SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [status, id]
         );
 
+        if (previous && previous.status !== status) {
+            await recordNewsEvent(id, previous.status, status, event);
+        }
+
         console.log(`Updated status for news item ${id} to ${status}`);
     } catch (error) {
         console.error('Error updating news status:', error);
@@ -176,12 +460,471 @@ async function updateNewsStatus(id, status) {
     }
 }
 
+/**
+ * Record a failed attempt of a stage for a news item
+ * @param {string} id - The ID of the news item
+ * @param {string} stage - The stage that failed ('translate' or 'publish')
+ * @param {Error|string} error - The error of the attempt
+ * @returns {Promise<number>} - Number of failed attempts of this stage so far
+ */
+async function recordFailedAttempt(id, stage, error) {
+    const message = error instanceof Error ? error.message : String(error);
+
+    try {
+        await db.run(`
+            INSERT INTO news_attempts (news_id, stage, attempts, last_error, last_attempt_at)
+            VALUES (?, ?, 1, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (news_id, stage) DO UPDATE SET
+                attempts = attempts + 1,
+                last_error = excluded.last_error,
+                last_attempt_at = excluded.last_attempt_at
+        `, [id, stage, message]);
+
+        const {attempts} = await db.get(
+            'SELECT attempts FROM news_attempts WHERE news_id = ? AND stage = ?',
+            [id, stage]
+        );
+        return attempts;
+    } catch (dbError) {
+        console.error('Error recording failed attempt:', dbError);
+        throw dbError;
+    }
+}
+
+/**
+ * Get the failed attempts of every stage for a news item
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Array>} - Rows with stage, attempts, last_error and last_attempt_at
+ */
+async function getAttempts(id) {
+    try {
+        return await db.all(
+            'SELECT stage, attempts, last_error, last_attempt_at FROM news_attempts WHERE news_id = ? ORDER BY last_attempt_at',
+            id
+        );
+    } catch (error) {
+        console.error('Error getting attempts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move a news item to the failed status
+ * @param {string} id - The ID of the news item
+ * @param {string} stage - The stage that kept failing
+ * @param {string} reason - Why it failed, usually the last error
+ * @returns {Promise<void>}
+ */
+async function markNewsFailed(id, stage, reason = null) {
+    await updateNewsItem(id, {status: StatusEnum.FAILED, failed_stage: stage}, {stage, reason});
+}
+
+/**
+ * Put a failed news item back into the queue of the stage that failed and reset its attempts
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<boolean>} - false if the item does not exist or is not failed
+ */
+async function requeueFailedNews(id) {
+    const news = await getNewsById(id);
+    if (!news || news.status !== StatusEnum.FAILED) {
+        return false;
+    }
+
+    const status = StageInputStatus[news.failed_stage] || StatusEnum.PENDING_TRANSLATION;
+    try {
+        await db.run('DELETE FROM news_attempts WHERE news_id = ? AND stage = ?', [id, news.failed_stage]);
+        await updateNewsItem(id, {status, failed_stage: null}, {stage: 'requeue', reason: `Requeued after failing at ${news.failed_stage}`});
+        return true;
+    } catch (error) {
+        console.error('Error requeueing news item:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save the translation of a news item into one language, replacing an existing one
+ * @param {string} id - The ID of the news item
+ * @param {string} language - Language code, e.g. 'fa'
+ * @param {Object} translation - {title, content}
+ * @returns {Promise<void>}
+ */
+async function saveTranslation(id, language, {title, content}) {
+    try {
+        await db.run(`
+            INSERT INTO news_translations (news_id, language, title, content)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (news_id, language) DO UPDATE SET
+                title = excluded.title,
+                content = excluded.content,
+                updated_at = CURRENT_TIMESTAMP
+        `, [id, language, title, content]);
+    } catch (error) {
+        console.error('Error saving translation:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get all translations of a news item
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Object>} - Map of language to {title, content, updated_at}
+ */
+async function getTranslations(id) {
+    try {
+        const rows = await db.all('SELECT * FROM news_translations WHERE news_id = ?', id);
+        return Object.fromEntries(rows.map(row => [row.language, row]));
+    } catch (error) {
+        console.error('Error getting translations:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record that a news item was published to a target
+ * @param {string} id - The ID of the news item
+ * @param {string} target - Target name from config.targets
+ * @param {Object} details - Where and how the post was sent
+ * @param {string} [details.chatId] - Channel the post was sent to
+ * @param {string} [details.messageType] - 'text' or 'caption', decides how the post is edited
+ * @param {Array} [details.messages] - Sent messages as {messageId, role, position}
+ * @returns {Promise<void>}
+ */
+async function recordPublication(id, target, {chatId = null, messageType = null, messages = []} = {}) {
+    try {
+        await db.run(
+            'INSERT OR REPLACE INTO news_publications (news_id, target, chat_id, message_type) VALUES (?, ?, ?, ?)',
+            [id, target, chatId, messageType]
+        );
+        await addPublicationMessages(id, target, messages);
+    } catch (error) {
+        console.error('Error recording publication:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the targets a news item has been published to
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Array>} - Rows with target, chat_id, message_type, published_at, retracted_at
+ *                             and messages ({message_id, role, position}, main message first)
+ */
+async function getPublications(id) {
+    try {
+        const publications = await db.all('SELECT * FROM news_publications WHERE news_id = ? ORDER BY published_at', id);
+        const messages = await db.all(
+            `SELECT * FROM publication_messages WHERE news_id = ?
+             ORDER BY CASE role WHEN 'main' THEN 0 ELSE 1 END, position, created_at`,
+            id
+        );
+
+        return publications.map(publication => ({
+            ...publication,
+            messages: messages.filter(message => message.target === publication.target)
+        }));
+    } catch (error) {
+        console.error('Error getting publications:', error);
+        throw error;
+    }
+}
+
+/**
+ * Store Telegram messages that belong to a published post
+ * @param {string} id - The ID of the news item
+ * @param {string} target - Target name
+ * @param {Array} messages - {messageId, role, position}; role is main, group, overflow or note
+ * @returns {Promise<void>}
+ */
+async function addPublicationMessages(id, target, messages) {
+    try {
+        for (const {messageId, role, position = 0} of messages) {
+            await db.run(
+                'INSERT OR REPLACE INTO publication_messages (news_id, target, message_id, role, position) VALUES (?, ?, ?, ?, ?)',
+                [id, target, messageId, role, position]
+            );
+        }
+    } catch (error) {
+        console.error('Error adding publication messages:', error);
+        throw error;
+    }
+}
+
+/**
+ * Forget Telegram messages that were deleted from a post
+ * @param {string} id - The ID of the news item
+ * @param {string} target - Target name
+ * @param {Array<number>} messageIds - Deleted message ids
+ * @returns {Promise<void>}
+ */
+async function removePublicationMessages(id, target, messageIds) {
+    try {
+        for (const messageId of messageIds) {
+            await db.run(
+                'DELETE FROM publication_messages WHERE news_id = ? AND target = ? AND message_id = ?',
+                [id, target, messageId]
+            );
+        }
+    } catch (error) {
+        console.error('Error removing publication messages:', error);
+        throw error;
+    }
+}
+
+/**
+ * Mark a post as deleted from its channel
+ * @param {string} id - The ID of the news item
+ * @param {string} target - Target name
+ * @returns {Promise<void>}
+ */
+async function markPublicationRetracted(id, target) {
+    try {
+        await db.run(
+            'UPDATE news_publications SET retracted_at = CURRENT_TIMESTAMP WHERE news_id = ? AND target = ?',
+            [id, target]
+        );
+    } catch (error) {
+        console.error('Error marking publication retracted:', error);
+        throw error;
+    }
+}
+
+/**
+ * Store the embedding of a news item and the story cluster it joined
+ * @param {string} id - The ID of the news item
+ * @param {Object} embedding - Embedding details
+ * @param {string} embedding.model - Provider and model that produced the vector
+ * @param {Array<number>} embedding.vector - Embedding vector
+ * @param {string} embedding.clusterId - ID of the first item of the story
+ * @param {number} [embedding.similarity] - Similarity to the closest earlier item of the cluster
+ * @returns {Promise<void>}
+ */
+async function saveEmbedding(id, {model, vector, clusterId, similarity = null}) {
+    try {
+        await db.run(
+            'INSERT OR REPLACE INTO news_embeddings (news_id, model, vector, cluster_id, similarity) VALUES (?, ?, ?, ?, ?)',
+            [id, model, Buffer.from(new Float32Array(vector).buffer), clusterId, similarity]
+        );
+    } catch (error) {
+        console.error('Error saving embedding:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get which of the given news items already have an embedding
+ * @param {Array<string>} ids - IDs of news items
+ * @returns {Promise<Set<string>>} - IDs that have an embedding
+ */
+async function getEmbeddedNewsIds(ids) {
+    try {
+        if (ids.length === 0) return new Set();
+        const rows = await db.all(
+            `SELECT news_id FROM news_embeddings WHERE news_id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        return new Set(rows.map(row => row.news_id));
+    } catch (error) {
+        console.error('Error getting embedded news ids:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the embeddings of a model stored within a time window, newest first
+ * @param {string} model - Provider and model of the vectors
+ * @param {number} window - Window in milliseconds
+ * @param {number} limit - Maximum number of rows
+ * @returns {Promise<Array>} - Rows with news_id, cluster_id, status, source and vector (Float32Array)
+ */
+async function getRecentEmbeddings(model, window, limit = 5000) {
+    try {
+        const rows = await db.all(
+            `SELECT e.news_id, e.cluster_id, e.vector, n.status, n.source
+             FROM news_embeddings e JOIN news n ON n.id = e.news_id
+             WHERE e.model = ? AND e.created_at >= datetime('now', ?)
+             ORDER BY e.created_at DESC LIMIT ?`,
+            [model, `-${Math.round(window / 1000)} seconds`, limit]
+        );
+
+        // Copy the blob so the Float32Array starts on an aligned offset
+        return rows.map(row => ({
+            ...row,
+            vector: new Float32Array(new Uint8Array(row.vector).buffer)
+        }));
+    } catch (error) {
+        console.error('Error getting recent embeddings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the Telegram file_id of an image that was uploaded before
+ * @param {string} url - Original image URL
+ * @param {string} variant - Processing variant, e.g. plain or a watermark key
+ * @returns {Promise<string|null>} - file_id or null if the image was not uploaded yet
+ */
+async function getMediaFileId(url, variant) {
+    try {
+        const row = await db.get('SELECT file_id FROM media_files WHERE url = ? AND variant = ?', [url, variant]);
+        return row ? row.file_id : null;
+    } catch (error) {
+        console.error('Error getting media file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remember the Telegram file_id of an uploaded image
+ * @param {string} url - Original image URL
+ * @param {string} variant - Processing variant
+ * @param {string} fileId - file_id returned by Telegram
+ * @param {Object} details - Uploaded image details
+ * @param {number} [details.width] - Width in pixels
+ * @param {number} [details.height] - Height in pixels
+ * @param {number} [details.size] - Size in bytes
+ * @returns {Promise<void>}
+ */
+async function saveMediaFileId(url, variant, fileId, {width = null, height = null, size = null} = {}) {
+    try {
+        await db.run(
+            'INSERT OR REPLACE INTO media_files (url, variant, file_id, width, height, size) VALUES (?, ?, ?, ?, ?, ?)',
+            [url, variant, fileId, width, height, size]
+        );
+    } catch (error) {
+        console.error('Error saving media file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Forget a file_id Telegram no longer accepts
+ * @param {string} url - Original image URL
+ * @param {string} variant - Processing variant
+ * @returns {Promise<void>}
+ */
+async function deleteMediaFileId(url, variant) {
+    try {
+        await db.run('DELETE FROM media_files WHERE url = ? AND variant = ?', [url, variant]);
+    } catch (error) {
+        console.error('Error deleting media file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a listing run or an article scrape of a source
+ * @param {string} source - Source name
+ * @param {string} kind - 'listing' or 'article'
+ * @param {Object} run - Run details
+ * @param {number} [run.itemCount] - Items found on the listing, 1 for an article that was read
+ * @param {boolean} [run.emptyContent] - Whether the article had no text
+ * @param {boolean} [run.missingImage] - Whether the article had no image
+ * @param {number} [run.durationMs] - How long the scrape took
+ * @param {string} [run.error] - Error message if the scrape failed
+ * @returns {Promise<void>}
+ */
+async function recordScrapeRun(source, kind, {itemCount = 0, emptyContent = null, missingImage = null, durationMs = null, error = null} = {}) {
+    try {
+        const toFlag = value => value === null ? null : (value ? 1 : 0);
+        await db.run(
+            `INSERT INTO scrape_runs (source, kind, item_count, empty_content, missing_image, duration_ms, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [source, kind, itemCount, toFlag(emptyContent), toFlag(missingImage), durationMs, error]
+        );
+    } catch (dbError) {
+        console.error('Error recording scrape run:', dbError);
+        throw dbError;
+    }
+}
+
+/**
+ * Get the latest scrapes of a source, newest first
+ * @param {string} source - Source name
+ * @param {string} kind - 'listing' or 'article'
+ * @param {number} limit - Maximum number of rows
+ * @returns {Promise<Array>} - Rows of scrape_runs
+ */
+async function getScrapeRuns(source, kind, limit) {
+    try {
+        return await db.all(
+            'SELECT * FROM scrape_runs WHERE source = ? AND kind = ? ORDER BY id DESC LIMIT ?',
+            [source, kind, limit]
+        );
+    } catch (error) {
+        console.error('Error getting scrape runs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the names of all sources that have recorded scrapes
+ * @returns {Promise<Array<string>>} - Source names
+ */
+async function getScrapedSources() {
+    try {
+        const rows = await db.all('SELECT DISTINCT source FROM scrape_runs ORDER BY source');
+        return rows.map(row => row.source);
+    } catch (error) {
+        console.error('Error getting scraped sources:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the last health alert sent about a source
+ * @param {string} source - Source name
+ * @returns {Promise<Object|null>} - {source, problems, message, alerted_at} or null if the source is healthy
+ */
+async function getSourceAlert(source) {
+    try {
+        return await db.get('SELECT * FROM source_alerts WHERE source = ?', [source]) || null;
+    } catch (error) {
+        console.error('Error getting source alert:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remember the health alert sent about a source
+ * @param {string} source - Source name
+ * @param {string} problems - Comma separated problem codes
+ * @param {string} message - Alert text
+ * @returns {Promise<void>}
+ */
+async function saveSourceAlert(source, problems, message) {
+    try {
+        await db.run(
+            'INSERT OR REPLACE INTO source_alerts (source, problems, message, alerted_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+            [source, problems, message]
+        );
+    } catch (error) {
+        console.error('Error saving source alert:', error);
+        throw error;
+    }
+}
+
+/**
+ * Forget the health alert of a source that recovered
+ * @param {string} source - Source name
+ * @returns {Promise<void>}
+ */
+async function deleteSourceAlert(source) {
+    try {
+        await db.run('DELETE FROM source_alerts WHERE source = ?', [source]);
+    } catch (error) {
+        console.error('Error deleting source alert:', error);
+        throw error;
+    }
+}
+
 /**
  * Keep only the latest 10,000 records and delete the rest
  * @returns {Promise<number>} - Number of deleted records
  */
 async function cleanupOldRecords() {
     try {
+        // Scrape runs only feed the health baselines, a month is plenty
+        await db.run(`DELETE FROM scrape_runs WHERE created_at < datetime('now', '-30 days')`);
+
         // Get the created_at timestamp of the 10,000th record
         const result = await db.get(`
             SELECT created_at FROM news 
@@ -201,6 +944,16 @@ async function cleanupOldRecords() {
             WHERE created_at < ?
         `, [result.created_at]);
 
+        // Drop attempts, history, translations and publications of deleted news
+        // and file_ids of images uploaded before the cutoff
+        await db.run('DELETE FROM news_attempts WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM news_events WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM news_translations WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM news_publications WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM publication_messages WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM news_embeddings WHERE news_id NOT IN (SELECT id FROM news)');
+        await db.run('DELETE FROM media_files WHERE created_at < ?', [result.created_at]);
+
         console.log(`Deleted ${changes} old news records`);
         return changes;
     } catch (error) {
@@ -209,14 +962,63 @@ async function cleanupOldRecords() {
     }
 }
 
+/**
+ * Close the database connection
+ * @returns {Promise<void>}
+ */
+async function closeDatabase() {
+    if (!db) return;
+
+    await db.close();
+    db = null;
+    console.log('Database closed');
+}
+
 module.exports = {
     initDatabase,
+    closeDatabase,
+    migrateDatabase,
+    getSchemaStatus,
     insertNewsItem,
     updateNewsItem,
     getNewsByStatus,
     getNewsById,
+    searchNews,
+    getStatusCounts,
+    getSourceStats,
+    findNewsByDedupKey,
+    setStoryId,
+    getStoryNews,
     updateNewsStatus,
     cleanupOldRecords,
     getNewsByStatusInLast24Hours,
-    StatusEnum
+    recordFailedAttempt,
+    getAttempts,
+    getNewsEvents,
+    countNewsEventsSince,
+    saveReviewScore,
+    recordNewsEvent,
+    saveTranslation,
+    getTranslations,
+    recordPublication,
+    getPublications,
+    addPublicationMessages,
+    removePublicationMessages,
+    markPublicationRetracted,
+    saveEmbedding,
+    getEmbeddedNewsIds,
+    getRecentEmbeddings,
+    getMediaFileId,
+    saveMediaFileId,
+    deleteMediaFileId,
+    recordScrapeRun,
+    getScrapeRuns,
+    getScrapedSources,
+    getSourceAlert,
+    saveSourceAlert,
+    deleteSourceAlert,
+    markNewsFailed,
+    requeueFailedNews,
+    StatusEnum,
+    StageInputStatus
 };
\ No newline at end of file
@@ -1,5 +1,29 @@
-const {initDatabase, cleanupOldRecords} = require('./db/newsDatabase');
-const {scrapeAndStoreNews, processPendingNews, processTranslationNews, publishNews} = require('./services/newsService');
+const {initDatabase, closeDatabase, migrateDatabase, getSchemaStatus, cleanupOldRecords} = require('./db/newsDatabase');
+const {
+    scrapeAndStoreNews,
+    processPendingNews,
+    processTranslationNews,
+    publishNews,
+    sendNewsForApproval,
+    editPublishedNews,
+    addCorrectionNote,
+    retractNews,
+    listFailedNews,
+    inspectNews,
+    requeueNews,
+    printNewsHistory
+} = require('./services/newsService');
+const {startDaemon} = require('./services/daemon');
+const {closeBrowserPool} = require('./services/browserPool');
+const {runAdminBot} = require('./services/adminBot');
+const {runApiServer} = require('./services/apiServer');
+const {cleanupMediaCache} = require('./services/media');
+const {printFilterTest} = require('./services/filters');
+const {printSourcesStatus} = require('./services/sourceHealth');
+const {runFixtures} = require('./services/fixtures');
+const {runSourceWizard} = require('./services/sourceWizard');
+const {printSettingsCheck} = require('./utils/settings');
+const {config} = require('./config');
 require('dotenv').config();
 
 /**
@@ -7,12 +31,12 @@ require('dotenv').config();
  */
 async function main() {
     try {
-        // Initialize database
-        await initDatabase();
-
         // Define the command line arguments and run appropriate function
         const command = process.argv[2];
 
+        // Initialize database, the migrate commands handle the schema themselves
+        await initDatabase({migrate: !['migrate', 'migrate:status'].includes(command)});
+
         switch (command) {
             case 'read':
                 // Scrape all news sources and store them in database
@@ -35,9 +59,137 @@ async function main() {
                 await publishNews();
                 break;
 
+            case 'moderate':
+                // Send translated news to the admin chat for approval
+                await sendNewsForApproval();
+                break;
+
+            case 'admin-bot':
+                // Handle approval buttons until SIGTERM
+                await runAdminBot();
+                break;
+
             case 'clear':
                 // Publish translated news to Telegram
                 await cleanupOldRecords();
+                await cleanupMediaCache();
+                break;
+
+            case 'failed':
+                // List, inspect or requeue items that kept failing
+                const action = process.argv[3] || 'list';
+                const newsId = process.argv[4];
+                if (action === 'list') {
+                    await listFailedNews();
+                } else if (action === 'show' && newsId) {
+                    await inspectNews(newsId);
+                } else if (action === 'requeue' && newsId) {
+                    await requeueNews(newsId);
+                } else {
+                    console.log('Usage: failed [list | show <id> | requeue <id|all>]');
+                }
+                break;
+
+            case 'post':
+                // Edit, annotate or delete the Telegram posts of a published item
+                const postAction = process.argv[3];
+                const postId = process.argv[4];
+                const postText = process.argv.slice(5).join(' ').trim();
+                if (postAction === 'edit-title' && postId && postText) {
+                    await editPublishedNews(postId, 'title', postText);
+                } else if (postAction === 'edit-text' && postId && postText) {
+                    await editPublishedNews(postId, 'content', postText);
+                } else if (postAction === 'note' && postId && postText) {
+                    await addCorrectionNote(postId, postText);
+                } else if (postAction === 'delete' && postId) {
+                    await retractNews(postId);
+                } else {
+                    console.log('Usage: post [edit-title <id> <title> | edit-text <id> <text> | note <id> <text> | delete <id>]');
+                }
+                break;
+
+            case 'filters':
+                // Show which filter rules fire for a text
+                if (process.argv[3] === 'test' && process.argv[4]) {
+                    printFilterTest(process.argv[4], process.argv[5]);
+                } else {
+                    console.log('Usage: filters test "<text>" [sourceName]');
+                }
+                break;
+
+            case 'sources:status':
+                // Show the scrape health of every source
+                await printSourcesStatus();
+                break;
+
+            case 'settings:check':
+                // Validate the sources, filters and prompts files
+                printSettingsCheck(config.settings.dir);
+                break;
+
+            case 'source:add':
+                // Propose selectors for a new source and save it to the sources settings file
+                const wizardArgs = process.argv.slice(3);
+                const option = (flag) => {
+                    const index = wizardArgs.indexOf(flag);
+                    return index === -1 ? null : wizardArgs[index + 1];
+                };
+                if (wizardArgs[0] && !wizardArgs[0].startsWith('--')) {
+                    await runSourceWizard(wizardArgs[0], {
+                        html: option('--html'),
+                        articleHtml: option('--article-html'),
+                        name: option('--name'),
+                        yes: wizardArgs.includes('--yes')
+                    });
+                } else {
+                    console.log('Usage: source:add <url> [--html <file>] [--article-html <file>] [--name <name>] [--yes]');
+                }
+                break;
+
+            case 'fixtures':
+                // Save source pages for the offline selector tests, or rewrite their expectations
+                const fixtureAction = process.argv[3];
+                const fixtureSource = process.argv[4];
+                if (['capture', 'update'].includes(fixtureAction) && fixtureSource) {
+                    await runFixtures(fixtureAction, fixtureSource, process.argv[5]);
+                } else {
+                    console.log('Usage: fixtures [capture <sourceName|all> [articleUrl] | update <sourceName|all>]');
+                }
+                break;
+
+            case 'history':
+                // Print the status timeline of a news item
+                if (process.argv[3]) {
+                    await printNewsHistory(process.argv[3]);
+                } else {
+                    console.log('Usage: history <id>');
+                }
+                break;
+
+            case 'migrate':
+                // Apply pending schema migrations
+                const appliedCount = await migrateDatabase();
+                console.log(appliedCount ? `Database schema updated` : 'Database schema is up to date');
+                break;
+
+            case 'migrate:status':
+                // Show applied and pending schema migrations
+                for (const migration of await getSchemaStatus()) {
+                    const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+                    console.log(`  ${migration.name.padEnd(28)} ${state.padEnd(30)} ${migration.description}`);
+                }
+                break;
+
+            case 'api':
+            case 'serve':
+                // Serve the REST API and dashboard until stopped
+                await runApiServer();
+                break;
+
+            case 'daemon':
+                // Run every stage on its own interval until SIGTERM
+                await startDaemon();
+                await closeDatabase();
                 break;
 
             default:
@@ -46,9 +198,27 @@ async function main() {
                 console.log('  pending - Process news pending for review');
                 console.log('  translate - Process news waiting for translation');
                 console.log('  publish - Publish translated news to Telegram');
+                console.log('  moderate - Send translated news to the admin chat for approval');
+                console.log('  admin-bot - Run the moderation bot until stopped');
+                console.log('  clear - Delete old records and cached media');
+                console.log('  failed [list | show <id> | requeue <id|all>] - Manage items that kept failing');
+                console.log('  post [edit-title | edit-text | note | delete] <id> [text] - Change a published post');
+                console.log('  filters test "<text>" [sourceName] - Show which filter rules fire for a text');
+                console.log('  sources:status - Show the scrape health of every source');
+                console.log('  settings:check - Validate the sources, filters and prompts files');
+                console.log('  source:add <url> - Propose selectors for a new source and save it');
+                console.log('  fixtures [capture | update] <sourceName|all> - Save source pages for the selector tests');
+                console.log('  history <id> - Show the status history of a news item');
+                console.log('  migrate - Apply pending database migrations');
+                console.log('  migrate:status - Show applied and pending database migrations');
+                console.log('  daemon - Run all stages on a schedule until stopped');
+                console.log('  api | serve - Serve the REST API and dashboard until stopped');
         }
     } catch (error) {
         console.error('Application error:', error);
+    } finally {
+        // Close the shared browser so the process can exit
+        await closeBrowserPool();
     }
 }
 
@@ -0,0 +1,294 @@
+const TelegramBot = require('node-telegram-bot-api');
+const {sendApprovalRequest, postKeyboard} = require('./telegram');
+const {getTargetsForNews, withTranslation} = require('./targets');
+const {editPublishedNews, addCorrectionNote, retractNews} = require('./newsService');
+const {
+    getNewsById,
+    updateNewsStatus,
+    getTranslations,
+    saveTranslation,
+    recordNewsEvent,
+    StatusEnum
+} = require('../db/newsDatabase');
+const {waitForSignal} = require('../utils/helpers');
+
+// Translation fields an editor can replace, by callback action
+const EDITABLE_FIELDS = {
+    edit_title: {key: 'title', label: 'title'},
+    edit_text: {key: 'content', label: 'text'},
+    post_title: {key: 'title', label: 'title', published: true},
+    post_text: {key: 'content', label: 'text', published: true}
+};
+
+/**
+ * Get the target whose translation editors review and the news item combined with that translation
+ * @param {Object} news - The news item
+ * @returns {Promise<Object>} - {target, translation, preview}
+ * @throws {Error} - If no target accepts the item or its translation is missing
+ */
+async function getModerationView(news) {
+    const [target] = getTargetsForNews(news);
+    if (!target) throw new Error(`No publishing target accepts news item ${news.id}`);
+
+    const translations = await getTranslations(news.id);
+    const translation = translations[target.language];
+    if (!translation) throw new Error(`News item ${news.id} has no ${target.language} translation`);
+    return {target, translation, preview: withTranslation(news, translation)};
+}
+
+/**
+ * Read the usernames allowed to moderate from ALLOWED_USERNAMES
+ * @returns {Array<string>} - Lower-case usernames without @
+ */
+function getAllowedUsernames() {
+    return (process.env.ALLOWED_USERNAMES || '')
+        .split(',')
+        .map(username => username.trim().replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Check whether a Telegram user may moderate
+ * @param {Object} user - Telegram user
+ * @returns {boolean} - true if the username is in ALLOWED_USERNAMES
+ */
+function isAllowed(user) {
+    return Boolean(user && user.username && getAllowedUsernames().includes(user.username.toLowerCase()));
+}
+
+/**
+ * Check whether a message was sent in the admin chat
+ * @param {Object} chat - Telegram chat
+ * @returns {boolean} - true if the chat is ADMIN_CHAT_ID, given as its id or @username
+ */
+function isAdminChat(chat) {
+    const adminChatId = (process.env.ADMIN_CHAT_ID || '').trim();
+    if (!chat || !adminChatId) return false;
+    return String(chat.id) === adminChatId || Boolean(chat.username && `@${chat.username}` === adminChatId);
+}
+
+/**
+ * Start the admin bot that handles Approve / Edit / Reject buttons on moderation previews
+ * and Edit / Note / Delete buttons of published posts
+ * @returns {Object} - {stop} to stop polling
+ */
+function startAdminBot() {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: true});
+
+    // Edits and notes waiting for the editor's reply, keyed by chat and user
+    const pendingEdits = new Map();
+    const editKey = (chatId, userId) => `${chatId}:${userId}`;
+
+    /**
+     * Replace the buttons of a preview with a short note of what happened
+     * @param {Object} message - The preview message
+     * @param {string} note - Text of the single disabled button
+     * @param {Array} [rows] - Button rows kept under the note
+     * @returns {Promise<void>}
+     */
+    async function closePreview(message, note, rows = []) {
+        try {
+            await bot.editMessageReplyMarkup(
+                {inline_keyboard: [[{text: note, callback_data: 'noop'}], ...rows]},
+                {chat_id: message.chat.id, message_id: message.message_id}
+            );
+        } catch (error) {
+            console.error('Error updating preview buttons:', error.message);
+        }
+    }
+
+    /**
+     * Ask the editor to reply with a new value
+     * @param {Object} query - Callback query
+     * @param {Object} edit - Pending edit kept until the reply arrives
+     * @param {string} prompt - What the editor should send
+     * @returns {Promise<void>}
+     */
+    async function askForReply(query, edit, prompt) {
+        pendingEdits.set(editKey(query.message.chat.id, query.from.id), {...edit, preview: query.message});
+        await bot.sendMessage(
+            query.message.chat.id,
+            `@${query.from.username}, ${prompt} or /cancel`,
+            {reply_markup: {force_reply: true, selective: true}}
+        );
+        await bot.answerCallbackQuery(query.id);
+    }
+
+    /**
+     * Handle the buttons of a published post
+     * @param {Object} query - Callback query
+     * @param {string} action - post_title, post_text, post_note, post_delete or post_delete_confirm
+     * @param {Object} news - The news item
+     * @returns {Promise<void>}
+     */
+    async function handlePostAction(query, action, news) {
+        if (news.status !== StatusEnum.PUBLISHED) {
+            await bot.answerCallbackQuery(query.id, {text: `This item is ${news.status}, not published`});
+            return;
+        }
+
+        const editor = `@${query.from.username}`;
+
+        if (EDITABLE_FIELDS[action]) {
+            const field = EDITABLE_FIELDS[action];
+            await askForReply(query, {id: news.id, field}, `send the new ${field.label} of the published post`);
+        } else if (action === 'post_note') {
+            await askForReply(query, {id: news.id, note: true}, 'send the correction note');
+        } else if (action === 'post_delete') {
+            // Deleting cannot be undone, ask once more
+            await bot.sendMessage(query.message.chat.id, `${editor}, delete "${news.title}" from all channels?`, {
+                reply_markup: {inline_keyboard: [[{text: '🗑 Yes, delete', callback_data: `post_delete_confirm:${news.id}`}]]}
+            });
+            await bot.answerCallbackQuery(query.id);
+        } else if (action === 'post_delete_confirm') {
+            const deleted = await retractNews(news.id, {editor});
+            await closePreview(query.message, `🗑 ${deleted} posts deleted by ${editor}`);
+            await bot.answerCallbackQuery(query.id, {text: 'Deleted'});
+        } else {
+            await bot.answerCallbackQuery(query.id);
+        }
+    }
+
+    bot.on('callback_query', async (query) => {
+        try {
+            // Allowed editors could otherwise add the bot to another chat and moderate from there
+            if (!isAllowed(query.from) || !isAdminChat(query.message && query.message.chat)) {
+                await bot.answerCallbackQuery(query.id, {text: 'You are not allowed to moderate'});
+                return;
+            }
+
+            const [action, id] = (query.data || '').split(':');
+            const news = id && await getNewsById(id);
+            if (news && action.startsWith('post_')) {
+                await handlePostAction(query, action, news);
+                return;
+            }
+
+            if (!news || news.status !== StatusEnum.AWAITING_APPROVAL) {
+                await bot.answerCallbackQuery(query.id, {text: 'This item is no longer awaiting approval'});
+                return;
+            }
+
+            const editor = `@${query.from.username}`;
+
+            if (action === 'approve') {
+                await updateNewsStatus(id, StatusEnum.APPROVED, {stage: 'moderation', reason: `Approved by ${editor}`});
+                // The preview keeps the buttons for changing the post once it is published
+                await closePreview(query.message, `✅ Approved by ${editor}`, postKeyboard(id).inline_keyboard);
+                await bot.answerCallbackQuery(query.id, {text: 'Approved'});
+            } else if (action === 'reject') {
+                await updateNewsStatus(id, StatusEnum.REJECTED, {stage: 'moderation', reason: `Rejected by ${editor}`});
+                await closePreview(query.message, `❌ Rejected by ${editor}`);
+                await bot.answerCallbackQuery(query.id, {text: 'Rejected'});
+            } else if (EDITABLE_FIELDS[action]) {
+                const field = EDITABLE_FIELDS[action];
+                const {preview} = await getModerationView(news);
+                await askForReply(query, {id, field}, `send the new ${field.label} for "${preview.translated_title}"`);
+            } else {
+                await bot.answerCallbackQuery(query.id);
+            }
+        } catch (error) {
+            console.error('Error handling moderation action:', error);
+            await bot.answerCallbackQuery(query.id, {text: `Something went wrong: ${error.message}`.substring(0, 200)}).catch(() => {});
+        }
+    });
+
+    // /post <id> shows the buttons of any published item, also when moderation is off
+    bot.onText(/^\/post(?:@\w+)?\s+(\S+)/, async (message, match) => {
+        if (!isAllowed(message.from) || !isAdminChat(message.chat)) return;
+
+        try {
+            const news = await getNewsById(match[1]);
+            if (!news) {
+                await bot.sendMessage(message.chat.id, `News item ${match[1]} not found`);
+                return;
+            }
+
+            await bot.sendMessage(message.chat.id, `${news.title}\nStatus: ${news.status}`, {
+                reply_markup: postKeyboard(news.id)
+            });
+        } catch (error) {
+            console.error('Error showing post buttons:', error);
+        }
+    });
+
+    bot.on('message', async (message) => {
+        const key = editKey(message.chat.id, message.from && message.from.id);
+        const edit = pendingEdits.get(key);
+        if (!edit || !isAllowed(message.from) || !isAdminChat(message.chat) || !message.text) return;
+
+        pendingEdits.delete(key);
+        const editor = `@${message.from.username}`;
+        try {
+            if (message.text.trim() === '/cancel') {
+                await bot.sendMessage(message.chat.id, 'Edit cancelled');
+                return;
+            }
+
+            // Published posts are changed in their channels
+            if (edit.note) {
+                const count = await addCorrectionNote(edit.id, message.text.trim(), {editor});
+                await bot.sendMessage(message.chat.id, `Correction note added to ${count} posts`);
+                return;
+            }
+            if (edit.field.published) {
+                const count = await editPublishedNews(edit.id, edit.field.key, message.text.trim(), {editor});
+                await bot.sendMessage(message.chat.id, `Updated ${count} posts`);
+                return;
+            }
+
+            const news = await getNewsById(edit.id);
+            if (!news || news.status !== StatusEnum.AWAITING_APPROVAL) {
+                await bot.sendMessage(message.chat.id, 'This item is no longer awaiting approval');
+                return;
+            }
+
+            const {target, translation} = await getModerationView(news);
+            await saveTranslation(edit.id, target.language, {...translation, [edit.field.key]: message.text.trim()});
+            await recordNewsEvent(edit.id, news.status, news.status, {
+                stage: 'moderation',
+                reason: `${target.language} ${edit.field.label} edited by ${editor}`
+            });
+            console.log(`${editor} edited the ${edit.field.label} of ${edit.id}`);
+
+            // Replace the old preview with one that shows the edited text
+            await closePreview(edit.preview, `✏️ Edited by ${editor}, see new preview`);
+            const updated = await getModerationView(await getNewsById(edit.id));
+            await sendApprovalRequest(updated.preview, updated.target);
+        } catch (error) {
+            console.error('Error applying moderation edit:', error);
+            await bot.sendMessage(message.chat.id, `Could not apply the edit: ${error.message}`).catch(() => {});
+        }
+    });
+
+    bot.on('polling_error', (error) => {
+        console.error('Admin bot polling error:', error.message);
+    });
+
+    console.log('Admin bot started');
+
+    return {
+        stop: async () => {
+            await bot.stopPolling();
+            console.log('Admin bot stopped');
+        }
+    };
+}
+
+/**
+ * Run the admin bot until SIGTERM or SIGINT
+ * @returns {Promise<void>}
+ */
+async function runAdminBot() {
+    const adminBot = startAdminBot();
+    const signal = await waitForSignal();
+    console.log(`Received ${signal}, stopping admin bot...`);
+    await adminBot.stop();
+}
+
+module.exports = {
+    startAdminBot,
+    runAdminBot,
+    isAllowed
+};
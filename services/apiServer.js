@@ -0,0 +1,383 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    getNewsById,
+    searchNews,
+    getStatusCounts,
+    getSourceStats,
+    StatusEnum
+} = require('../db/newsDatabase');
+const {getNewsRecord, rejectNews, editTranslation, forcePublish, requeueNews, NewsStateError} = require('./newsService');
+const {getScrapeHealth} = require('./sourceHealth');
+const {waitForSignal} = require('../utils/helpers');
+const {config} = require('../config');
+
+const DASHBOARD_FILE = path.join(__dirname, '..', 'web', 'dashboard.html');
+
+// Largest request body accepted, translations are the biggest payload
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Most items returned by one search
+const MAX_PAGE_SIZE = 500;
+
+// Host names that always reach a server listening on this machine
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Error answered with an HTTP status code
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} response - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value serialised as JSON
+ */
+function sendJson(response, status, body) {
+    const data = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(data),
+        'Cache-Control': 'no-store'
+    });
+    response.end(data);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} - Parsed body, {} when it is empty
+ * @throws {HttpError} - If the body is too large or not a JSON object
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request body is too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('error', reject);
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) return resolve({});
+
+            try {
+                const body = JSON.parse(text);
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be a JSON object'));
+            }
+        });
+    });
+}
+
+/**
+ * Check that a request is addressed to this server and, when it comes from a browser page, that the page
+ * was served by this server too
+ * This keeps other websites from changing items through the operator's browser, with cross-site requests
+ * or by rebinding their own host name to this address.
+ * @param {Object} request - HTTP request
+ * @param {number} port - Port the server listens on
+ * @throws {HttpError} - If the Host or Origin header names another server
+ */
+function checkOrigin(request, port) {
+    const allowed = new Set([
+        ...[...LOCAL_HOSTS, config.api.host].map(host => `${host}:${port}`),
+        ...config.api.allowedHosts
+    ].map(host => host.toLowerCase()));
+
+    const host = (request.headers.host || '').toLowerCase();
+    if (!allowed.has(host)) {
+        throw new HttpError(403, `Host ${host || '(none)'} is not allowed, add it to config.api.allowedHosts`);
+    }
+
+    const {origin} = request.headers;
+    if (origin === undefined) return;
+    let originHost = null;
+    try {
+        originHost = new URL(origin).host.toLowerCase();
+    } catch (error) {
+        // "null" and other opaque origins are never this server
+    }
+    if (originHost !== host) {
+        throw new HttpError(403, 'Cross-origin requests are not allowed');
+    }
+}
+
+/**
+ * Check that a request that changes data sends JSON
+ * Browsers send JSON only after a CORS preflight, which this server never answers, so a page on another site
+ * cannot make such a request.
+ * @param {Object} request - HTTP request
+ * @throws {HttpError} - If the Content-Type is not application/json
+ */
+function checkJsonContentType(request) {
+    const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        throw new HttpError(415, 'Send the request body as application/json');
+    }
+}
+
+/**
+ * Check the API token of a request that changes data
+ * Requests are allowed without a token when none is configured, the server only listens locally by default.
+ * @param {Object} request - HTTP request
+ * @returns {boolean} - true if the request may change data
+ */
+function isAuthorized(request) {
+    const token = process.env[config.api.tokenEnv];
+    if (!token) return true;
+    return request.headers.authorization === `Bearer ${token}`;
+}
+
+/**
+ * Decode a path parameter
+ * @param {string} value - Percent-encoded path segment
+ * @returns {string} - Decoded value
+ * @throws {HttpError} - If the segment has a malformed escape such as %E0
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        if (error instanceof URIError) throw new HttpError(400, 'Malformed URL');
+        throw error;
+    }
+}
+
+/**
+ * Get a news item or answer 404
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Object>} - The news item
+ * @throws {HttpError} - If the item does not exist
+ */
+async function requireNews(id) {
+    const news = await getNewsById(id);
+    if (!news) throw new HttpError(404, `News item ${id} not found`);
+    return news;
+}
+
+/**
+ * Summarise every configured source with the items it produced and the health of its scrapes
+ * A source without items in the last 24 hours, or with scrape problems, is reported as unhealthy.
+ * @returns {Promise<Array>} - Source rows with total, recent, published, rejected, failed, last_created_at,
+ *   problems and healthy
+ */
+async function getSourceHealth() {
+    const stats = new Map((await getSourceStats()).map(row => [row.source, row]));
+    const names = [...new Set([...Object.keys(config.sources), ...stats.keys()])];
+
+    const rows = [];
+    for (const source of names) {
+        const row = stats.get(source) || {source, total: 0, recent: 0, published: 0, rejected: 0, failed: 0, last_created_at: null};
+        const {problems} = await getScrapeHealth(source);
+        rows.push({...row, configured: Boolean(config.sources[source]), problems, healthy: row.recent > 0 && !problems.length});
+    }
+    return rows;
+}
+
+// Routes matched in order; handlers get {params, query, body, editor} and return the JSON response body
+const routes = [
+    {
+        method: 'GET',
+        pattern: /^\/api\/stats$/,
+        handler: async () => ({
+            statuses: await getStatusCounts(),
+            sources: await getSourceHealth()
+        })
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/news$/,
+        handler: async ({query}) => {
+            const status = query.get('status');
+            if (status && !Object.values(StatusEnum).includes(status)) {
+                throw new HttpError(400, `Unknown status "${status}"`);
+            }
+
+            return searchNews({
+                status,
+                source: query.get('source'),
+                query: query.get('q'),
+                from: query.get('from'),
+                to: query.get('to'),
+                limit: Math.min(parseInt(query.get('limit'), 10) || 50, MAX_PAGE_SIZE),
+                offset: parseInt(query.get('offset'), 10) || 0
+            });
+        }
+    },
+    {
+        method: 'GET',
+        pattern: /^\/api\/news\/([^/]+)$/,
+        handler: async ({params}) => {
+            const record = await getNewsRecord(params[0]);
+            if (!record) throw new HttpError(404, `News item ${params[0]} not found`);
+            return record;
+        }
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/news\/([^/]+)\/requeue$/,
+        handler: async ({params}) => {
+            await requireNews(params[0]);
+            if (!await requeueNews(params[0])) {
+                throw new HttpError(409, `News item ${params[0]} is not in the failed status`);
+            }
+            return getNewsById(params[0]);
+        }
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/news\/([^/]+)\/reject$/,
+        handler: async ({params, body, editor}) => {
+            await requireNews(params[0]);
+            await rejectNews(params[0], {reason: body.reason, editor});
+            return getNewsById(params[0]);
+        }
+    },
+    {
+        method: 'PUT',
+        pattern: /^\/api\/news\/([^/]+)\/translations\/([^/]+)$/,
+        handler: async ({params, body, editor}) => {
+            await requireNews(params[0]);
+            const title = typeof body.title === 'string' ? body.title.trim() : '';
+            const content = typeof body.content === 'string' ? body.content.trim() : '';
+            if (!title && !content) {
+                throw new HttpError(400, 'Send a title or content');
+            }
+            return editTranslation(params[0], params[1], {title, content}, {editor});
+        }
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/news\/([^/]+)\/publish$/,
+        handler: async ({params, editor}) => {
+            await requireNews(params[0]);
+            await forcePublish(params[0], {editor});
+            return getNewsById(params[0]);
+        }
+    }
+];
+
+/**
+ * Handle one HTTP request
+ * @param {Object} request - HTTP request
+ * @param {Object} response - HTTP response
+ * @param {number} port - Port the server listens on
+ * @returns {Promise<void>}
+ */
+async function handleRequest(request, response, port) {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+        checkOrigin(request, port);
+
+        if (request.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+            const html = await fs.promises.readFile(DASHBOARD_FILE);
+            response.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+            response.end(html);
+            return;
+        }
+
+        const candidates = routes.filter(route => route.pattern.test(url.pathname));
+        const route = candidates.find(candidate => candidate.method === request.method);
+        if (!route) {
+            throw new HttpError(candidates.length ? 405 : 404, candidates.length ? 'Method not allowed' : 'Not found');
+        }
+
+        if (request.method !== 'GET') {
+            checkJsonContentType(request);
+            if (!isAuthorized(request)) {
+                throw new HttpError(401, 'Missing or wrong API token');
+            }
+        }
+
+        const params = url.pathname.match(route.pattern).slice(1).map(decodeParam);
+        const body = request.method === 'GET' ? {} : await readJson(request);
+        const editor = `api${body.editor ? `:${String(body.editor).substring(0, 50)}` : ''}`;
+
+        sendJson(response, 200, await route.handler({params, query: url.searchParams, body, editor}));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            sendJson(response, error.status, {error: error.message});
+            return;
+        }
+
+        // The item is not in a state that allows the change
+        if (error instanceof NewsStateError) {
+            sendJson(response, 409, {error: error.message});
+            return;
+        }
+
+        console.error(`API ${request.method} ${url.pathname} failed:`, error);
+        sendJson(response, 500, {error: 'Internal error, see the server log'});
+    }
+}
+
+/**
+ * Start the HTTP server with the REST API and the dashboard
+ * @param {Object} options - Server options, default to config.api
+ * @param {string} [options.host] - Address to listen on
+ * @param {number} [options.port] - Port to listen on
+ * @returns {Promise<Object>} - {server, stop}
+ */
+function startApiServer({host = config.api.host, port = config.api.port} = {}) {
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, server.address().port).catch((error) => {
+            console.error('Error handling API request:', error);
+            if (!response.headersSent) sendJson(response, 500, {error: 'Internal error'});
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            console.log(`API and dashboard listening on http://${host}:${server.address().port}`);
+            resolve({
+                server,
+                stop: () => new Promise(done => {
+                    server.close(() => {
+                        console.log('API server stopped');
+                        done();
+                    });
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Run the API server until SIGTERM or SIGINT
+ * @returns {Promise<void>}
+ */
+async function runApiServer() {
+    const apiServer = await startApiServer();
+    const signal = await waitForSignal();
+    console.log(`Received ${signal}, stopping API server...`);
+    await apiServer.stop();
+}
+
+module.exports = {
+    startApiServer,
+    runApiServer
+};
@@ -0,0 +1,225 @@
+const puppeteer = require('puppeteer');
+const {config} = require('../config');
+
+// Errors that mean the page or the whole browser is gone and must not be reused
+const CRASH_ERROR_PATTERN = /Target closed|Session closed|Protocol error|detached Frame|Connection closed|Page crashed|browser has disconnected/i;
+
+let browser = null;
+let launching = null;
+let pagesCreated = 0;
+let activePages = 0;
+let idleTimer = null;
+const idlePages = [];
+const waiters = [];
+const pageInfo = new WeakMap();
+
+/**
+ * Get the shared browser, launching it if needed
+ * @returns {Promise<Object>} - Puppeteer browser instance
+ */
+async function getBrowser() {
+    if (browser && browser.connected) return browser;
+
+    if (!launching) {
+        console.log('Launching shared browser...');
+        launching = puppeteer.launch({
+            headless: config.browser.headless,
+            args: config.browser.args,
+            ignoreHTTPSErrors: config.browser.ignoreHTTPSErrors,
+        }).then(instance => {
+            instance.on('disconnected', () => {
+                if (browser !== instance) return;
+                // The browser crashed or was closed, the next acquirePage launches a new one
+                console.warn('Shared browser disconnected');
+                browser = null;
+                idlePages.length = 0;
+            });
+            browser = instance;
+            pagesCreated = 0;
+            return instance;
+        }).finally(() => {
+            launching = null;
+        });
+    }
+
+    return launching;
+}
+
+/**
+ * Apply the configured user agent, viewport and headers to a new page
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+async function setupPage(page) {
+    // Set up a realistic user agent
+    await page.setUserAgent(config.browser.userAgent);
+
+    // Enable JavaScript - important for CloudFlare sites
+    await page.setJavaScriptEnabled(true);
+
+    // Set screen size to emulate a regular browser
+    await page.setViewport(config.browser.viewport);
+
+    // Add extra headers to look more like a real browser
+    await page.setExtraHTTPHeaders(config.browser.headers);
+}
+
+/**
+ * Wait until fewer than maxPages pages are in use
+ * @returns {Promise<void>}
+ */
+function waitForSlot() {
+    if (activePages < config.browser.pool.maxPages) {
+        activePages++;
+        return Promise.resolve();
+    }
+
+    // The releasing caller hands its slot over directly
+    return new Promise(resolve => waiters.push(resolve));
+}
+
+/**
+ * Give a page slot back to the pool
+ */
+function freeSlot() {
+    const next = waiters.shift();
+    if (next) {
+        next();
+        return;
+    }
+
+    activePages--;
+    if (activePages === 0) {
+        scheduleIdleClose();
+    }
+}
+
+/**
+ * Close the browser after it has been unused for idleTimeout, or right away
+ * when it has created more pages than browserReuseLimit
+ */
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+
+    if (pagesCreated >= config.browser.pool.browserReuseLimit) {
+        console.log('Recycling shared browser');
+        closeBrowserPool();
+        return;
+    }
+
+    idleTimer = setTimeout(() => {
+        if (activePages === 0) {
+            closeBrowserPool();
+        }
+    }, config.browser.pool.idleTimeout);
+    idleTimer.unref();
+}
+
+/**
+ * Take a page from the pool, creating one if none is idle
+ * @returns {Promise<Object>} - Puppeteer page, must be given back with releasePage
+ */
+async function acquirePage() {
+    await waitForSlot();
+    clearTimeout(idleTimer);
+
+    try {
+        const instance = await getBrowser();
+
+        while (idlePages.length) {
+            const page = idlePages.pop();
+            if (!page.isClosed() && pageInfo.get(page).browser === instance) {
+                return page;
+            }
+        }
+
+        const page = await instance.newPage();
+        await setupPage(page);
+        pageInfo.set(page, {browser: instance, uses: 0});
+        pagesCreated++;
+        return page;
+    } catch (error) {
+        freeSlot();
+        throw error;
+    }
+}
+
+/**
+ * Give a page back to the pool
+ * @param {Object} page - Page returned by acquirePage
+ * @param {boolean} discard - Close the page instead of keeping it for reuse
+ * @returns {Promise<void>}
+ */
+async function releasePage(page, discard = false) {
+    const info = pageInfo.get(page);
+    info.uses++;
+
+    let reusable = !discard &&
+        !page.isClosed() &&
+        info.browser === browser &&
+        info.uses < config.browser.pool.pageReuseLimit;
+
+    if (reusable) {
+        try {
+            // Unload the previous site so it stops running scripts while idle
+            await page.goto('about:blank', {timeout: 10000});
+        } catch (error) {
+            reusable = false;
+        }
+    }
+
+    if (reusable) {
+        idlePages.push(page);
+    } else {
+        await page.close().catch(() => {});
+    }
+
+    freeSlot();
+}
+
+/**
+ * Run a function with a pooled page
+ * If the page or browser crashes the function is retried once on a fresh page.
+ * @param {Function} fn - Async function receiving the page
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withPage(fn) {
+    for (let attempt = 1; ; attempt++) {
+        const page = await acquirePage();
+        try {
+            const result = await fn(page);
+            await releasePage(page);
+            return result;
+        } catch (error) {
+            const crashed = CRASH_ERROR_PATTERN.test(error.message);
+            await releasePage(page, crashed);
+
+            if (!crashed || attempt >= 2) throw error;
+            console.warn(`Page crashed (${error.message}), retrying on a new page...`);
+        }
+    }
+}
+
+/**
+ * Close all pooled pages and the shared browser
+ * @returns {Promise<void>}
+ */
+async function closeBrowserPool() {
+    clearTimeout(idleTimer);
+
+    const instance = browser || (launching && await launching.catch(() => null));
+    browser = null;
+    idlePages.length = 0;
+
+    if (instance) {
+        await instance.close().catch(() => {});
+        console.log('Shared browser closed');
+    }
+}
+
+module.exports = {
+    acquirePage,
+    releasePage,
+    withPage,
+    closeBrowserPool
+};
@@ -0,0 +1,203 @@
+const {createScheduler} = require('./scheduler');
+const {scrapeAndStoreNews, processPendingNews, processTranslationNews, publishNews, sendNewsForApproval} = require('./newsService');
+const {startAdminBot} = require('./adminBot');
+const {startApiServer} = require('./apiServer');
+const {cleanupMediaCache} = require('./media');
+const {hasFlagRules} = require('./filters');
+const {cleanupOldRecords} = require('../db/newsDatabase');
+const {config} = require('../config');
+const {watchSettings} = require('../utils/settings');
+const {isWithinActiveHours} = require('../utils/helpers');
+
+/**
+ * Check whether editors approve items in the admin chat
+ * @returns {boolean} - true if moderation is enabled or a filter rule flags items for an editor
+ */
+function isModerating() {
+    return config.moderation.enabled || hasFlagRules();
+}
+
+/**
+ * Check whether the stages may run now
+ * @returns {boolean} - true within config.daemon.activeHours
+ */
+function withinActiveHours() {
+    return isWithinActiveHours(config.daemon.activeHours);
+}
+
+/**
+ * Get the scrape interval of every enabled source
+ * @returns {Map<string, number>} - Interval in milliseconds by source name
+ */
+function getScrapeIntervals() {
+    return new Map(Object.entries(config.sources)
+        .filter(([, source]) => source.enabled !== false)
+        .map(([name, source]) => [name, source.interval || config.daemon.intervals.scrape]));
+}
+
+/**
+ * Register the scrape job of a source
+ * @param {Object} scheduler - Scheduler created by createScheduler
+ * @param {string} name - Source name
+ * @param {number} interval - Milliseconds between scrapes
+ * @param {number} startDelay - Milliseconds to wait before the first scrape
+ */
+function addScrapeJob(scheduler, name, interval, startDelay) {
+    scheduler.addJob(`scrape:${name}`, () => scrapeAndStoreNews(name), {
+        interval,
+        startDelay,
+        isAllowed: withinActiveHours
+    });
+}
+
+/**
+ * Bring the scrape jobs in line with reloaded sources: add new and enabled sources, remove deleted
+ * and disabled ones and reschedule the ones whose interval changed
+ * @param {Object} scheduler - Scheduler created by createScheduler
+ * @param {Map<string, number>} current - Intervals of the registered scrape jobs, updated in place
+ */
+function syncScrapeJobs(scheduler, current) {
+    const next = getScrapeIntervals();
+    let startDelay = 0;
+
+    for (const [name, interval] of current) {
+        if (next.get(name) === interval) continue;
+        scheduler.removeJob(`scrape:${name}`);
+        current.delete(name);
+        if (!next.has(name)) console.log(`Stopped scraping ${name}`);
+    }
+
+    for (const [name, interval] of next) {
+        if (current.has(name)) continue;
+        addScrapeJob(scheduler, name, interval, startDelay);
+        current.set(name, interval);
+        console.log(`Scraping ${name} every ${Math.round(interval / 60000)} minutes`);
+        startDelay += config.daemon.startupStagger;
+    }
+}
+
+/**
+ * Register all pipeline stages as scheduler jobs
+ * @param {Object} scheduler - Scheduler created by createScheduler
+ * @returns {Map<string, number>} - Intervals of the registered scrape jobs by source name
+ */
+function registerJobs(scheduler) {
+    const {intervals, startupStagger} = config.daemon;
+    const scrapeJobs = getScrapeIntervals();
+    let startDelay = 0;
+
+    // Every source gets its own scrape job so a slow site does not hold up the others
+    for (const [name, interval] of scrapeJobs) {
+        addScrapeJob(scheduler, name, interval, startDelay);
+        startDelay += startupStagger;
+    }
+
+    // Each pipeline job takes the next stagger slot after the scrapers
+    scheduler.addJob('review', processPendingNews, {
+        interval: intervals.review,
+        startDelay,
+        isAllowed: withinActiveHours
+    });
+    startDelay += startupStagger;
+    scheduler.addJob('translate', processTranslationNews, {
+        interval: intervals.translate,
+        startDelay,
+        isAllowed: withinActiveHours
+    });
+    startDelay += startupStagger;
+    if (isModerating()) {
+        scheduler.addJob('moderate', sendNewsForApproval, {
+            interval: intervals.moderate,
+            startDelay,
+            isAllowed: withinActiveHours
+        });
+        startDelay += startupStagger;
+    }
+    scheduler.addJob('publish', publishNews, {
+        interval: intervals.publish,
+        startDelay,
+        isAllowed: withinActiveHours
+    });
+    startDelay += startupStagger;
+    scheduler.addJob('cleanup', async () => {
+        await cleanupOldRecords();
+        await cleanupMediaCache();
+    }, {
+        interval: intervals.cleanup,
+        startDelay
+    });
+
+    return scrapeJobs;
+}
+
+/**
+ * Apply settings reloaded while the daemon runs
+ * @param {Object} scheduler - Scheduler created by createScheduler
+ * @param {Map<string, number>} scrapeJobs - Intervals of the registered scrape jobs, updated in place
+ * @param {Object} settings - Result of loadSettings
+ */
+function applySettings(scheduler, scrapeJobs, settings) {
+    const moderating = isModerating();
+    Object.assign(config, settings);
+    syncScrapeJobs(scheduler, scrapeJobs);
+
+    // The admin bot and the moderate job are only set up at startup
+    if (isModerating() !== moderating) {
+        console.warn('Filter rules that flag items were added or removed, restart the daemon to apply this');
+    }
+}
+
+/**
+ * Run the whole pipeline as a long-running process until SIGTERM or SIGINT
+ * @returns {Promise<void>} - Resolves once all running stages have finished after a shutdown signal
+ */
+async function startDaemon() {
+    const scheduler = createScheduler();
+    const scrapeJobs = registerJobs(scheduler);
+
+    // Editors approve news through the admin bot while the daemon runs
+    const adminBot = isModerating() ? startAdminBot() : null;
+    const apiServer = config.api.withDaemon ? await startApiServer() : null;
+    const settingsWatcher = config.settings.reload ?
+        watchSettings(config.settings.dir, settings => applySettings(scheduler, scrapeJobs, settings)) :
+        null;
+
+    return new Promise(resolve => {
+        let stopping = false;
+
+        const shutdown = async (signal) => {
+            if (stopping) {
+                console.warn(`Received ${signal} again, exiting immediately`);
+                process.exit(1);
+            }
+            stopping = true;
+
+            console.log(`Received ${signal}, shutting down daemon...`);
+            if (settingsWatcher) {
+                settingsWatcher.close();
+            }
+            await scheduler.stop(config.daemon.shutdownTimeout);
+            if (adminBot) {
+                await adminBot.stop();
+            }
+            if (apiServer) {
+                await apiServer.stop();
+            }
+
+            process.removeListener('SIGTERM', shutdown);
+            process.removeListener('SIGINT', shutdown);
+            console.log('Daemon stopped');
+            resolve();
+        };
+
+        process.on('SIGTERM', shutdown);
+        process.on('SIGINT', shutdown);
+
+        scheduler.start();
+        console.log('Daemon running, press Ctrl+C to stop');
+    });
+}
+
+module.exports = {
+    startDaemon
+};
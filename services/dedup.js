@@ -0,0 +1,175 @@
+const {embed} = require('../api/llmClient');
+const {
+    saveEmbedding,
+    getEmbeddedNewsIds,
+    getRecentEmbeddings,
+    setStoryId,
+    getStoryNews,
+    findNewsByDedupKey,
+    updateNewsItem,
+    StatusEnum
+} = require('../db/newsDatabase');
+const {canonicalizeUrl, getDedupKey} = require('../utils/url');
+const {config} = require('../config');
+
+// Earlier items in these statuses do not block later items of the same story
+const NON_BLOCKING_STATUSES = [StatusEnum.REJECTED, StatusEnum.FAILED, StatusEnum.RETRACTED];
+
+/**
+ * Cosine similarity of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} - Similarity between -1 and 1, 0 for vectors of different length
+ */
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Text of a news item that is embedded
+ * @param {Object} news - The news item
+ * @returns {string} - Title and feed summary
+ */
+function getEmbeddingText(news) {
+    return [news.title, news.summary].filter(Boolean).join('\n').substring(0, 1000);
+}
+
+/**
+ * Embed texts in batches of config.dedup.batchSize
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Object>} - {model, vectors}
+ * @throws {Error} - If a failover switched models between batches, since their vectors cannot be compared
+ */
+async function embedInBatches(texts) {
+    const {batchSize} = config.dedup;
+    let model = null;
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += batchSize) {
+        const result = await embed(texts.slice(start, start + batchSize));
+        if (model && result.model !== model) {
+            throw new Error(`Embedding model changed from ${model} to ${result.model} during the run`);
+        }
+        model = result.model;
+        vectors.push(...result.vectors);
+    }
+
+    return {model, vectors};
+}
+
+/**
+ * Embed news items, group them into stories and find the ones that repeat a story already in the pipeline
+ * Each item joins the story of its most similar recent item when the similarity reaches
+ * config.dedup.storyThreshold, or starts a new story. It is blocked when the similarity also
+ * reaches config.dedup.threshold.
+ * @param {Array} newsItems - Pending news items, oldest first
+ * @returns {Promise<Array>} - {news, duplicateOf, similarity} for every item that should be blocked
+ */
+async function findDuplicates(newsItems) {
+    const {threshold, storyThreshold, window, maxCandidates} = config.dedup;
+    const duplicates = [];
+
+    // Items that stayed pending after an earlier run were already checked
+    const embeddedIds = await getEmbeddedNewsIds(newsItems.map(news => news.id));
+    const newItems = newsItems.filter(news => !embeddedIds.has(news.id));
+    if (newItems.length === 0) return duplicates;
+
+    const {model, vectors} = await embedInBatches(newItems.map(getEmbeddingText));
+    const candidates = await getRecentEmbeddings(model, window, maxCandidates);
+
+    for (let index = 0; index < newItems.length; index++) {
+        const news = newItems[index];
+        const vector = vectors[index];
+
+        let best = null;
+        for (const candidate of candidates) {
+            const similarity = cosineSimilarity(vector, candidate.vector);
+            if (!best || similarity > best.similarity) {
+                best = {candidate, similarity};
+            }
+        }
+
+        const joins = Boolean(best && best.similarity >= Math.min(storyThreshold, threshold));
+        const clusterId = joins ? best.candidate.cluster_id : news.id;
+        const blocked = joins && best.similarity >= threshold && !NON_BLOCKING_STATUSES.includes(best.candidate.status);
+
+        await saveEmbedding(news.id, {model, vector, clusterId, similarity: joins ? best.similarity : null});
+        await setStoryId(news.id, clusterId);
+        if (blocked) {
+            duplicates.push({news, duplicateOf: best.candidate.news_id, similarity: best.similarity});
+        }
+
+        // Later items of this batch are compared with this one too
+        candidates.push({
+            news_id: news.id,
+            cluster_id: clusterId,
+            vector,
+            status: blocked ? StatusEnum.REJECTED : news.status,
+            source: news.source
+        });
+    }
+
+    return duplicates;
+}
+
+/**
+ * Store the canonical URL an article page declares and check whether another item is the same article
+ * @param {Object} news - The news item
+ * @param {string|null} url - Canonical URL from the article page
+ * @returns {Promise<Object|null>} - The earlier item with the same canonical URL, or null
+ */
+async function applyCanonicalUrl(news, url) {
+    if (!url) return null;
+
+    const canonicalUrl = canonicalizeUrl(url);
+    const dedupKey = getDedupKey(canonicalUrl);
+    if (dedupKey === news.dedup_key) return null;
+
+    // A failed copy does not block a new attempt at the same article
+    const existing = await findNewsByDedupKey(dedupKey, news.id);
+    if (existing && existing.status !== StatusEnum.FAILED) {
+        await setStoryId(news.id, existing.story_id || existing.id);
+        return existing;
+    }
+
+    await updateNewsItem(news.id, {canonical_url: canonicalUrl, dedup_key: dedupKey});
+    news.canonical_url = canonicalUrl;
+    news.dedup_key = dedupKey;
+    return null;
+}
+
+/**
+ * Get the other sources that reported the story of a news item
+ * @param {Object} news - The news item
+ * @returns {Promise<Array>} - {source, link} for each other source, in the order they reported it
+ */
+async function getOtherSources(news) {
+    if (!config.dedup.attribution || !news.story_id) return [];
+
+    const seen = new Set([news.source]);
+    const sources = [];
+    for (const item of await getStoryNews(news.story_id)) {
+        if (seen.has(item.source)) continue;
+        seen.add(item.source);
+        sources.push({source: item.source, link: item.canonical_url || item.link});
+    }
+    return sources;
+}
+
+module.exports = {
+    findDuplicates,
+    applyCanonicalUrl,
+    getOtherSources,
+    cosineSimilarity
+};
@@ -0,0 +1,126 @@
+/*
+ * Extraction logic shared by the browser and http fetch modes.
+ * These functions are passed to page.evaluate in browser mode, so they must stay
+ * self-contained: no closures over module scope and no require calls.
+ */
+
+/**
+ * Extract news items from a listing page
+ * @param {object} selectors - CSS selectors for different elements
+ * @param {Document} doc - Document to read, defaults to the browser document
+ * @param {string} origin - Origin used to resolve relative links
+ * @returns {Array} - Array of {title, link}
+ */
+function extractNewsItems(selectors, doc = document, origin = window.location.origin) {
+    const items = [];
+    const newsElements = doc.querySelectorAll(selectors.newsContainer);
+
+    newsElements.forEach((element) => {
+        // Extract title
+        const titleElement = element.querySelector(selectors.title);
+        const title = titleElement ? titleElement.textContent.trim() : '';
+
+        // Extract link
+        let link = '';
+        const linkElement = selectors.link.length ? element.querySelector(selectors.link) : element;
+        const relativePath = linkElement ? linkElement.getAttribute('href') : '';
+        if (relativePath) {
+            try {
+                // javascript: and other non-web links are dropped, they would end up in posts and the dashboard
+                const url = new URL(relativePath, origin);
+                if (/^https?:$/.test(url.protocol)) link = relativePath.startsWith('http') ? relativePath : url.href;
+            } catch (error) {
+                // Skip links that are not valid URLs
+            }
+        }
+
+        if (title.length && link.length) items.push({
+            title, link,
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Extract the main image, video, text and canonical URL from an article page
+ * The video comes from selectors.video (its src or <source> children) or og:video meta tags,
+ * the canonical URL from <link rel="canonical"> or og:url.
+ * @param {object} selectors - CSS selectors for different elements
+ * @param {Document} doc - Document to read, defaults to the browser document
+ * @param {string} baseUrl - URL used to resolve relative URLs, defaults to the browser location
+ * @returns {Object} - {image_url, video_url, content, canonical_url}
+ */
+function extractArticle(selectors, doc = document, baseUrl = window.location.href) {
+    // Find video before removing elements, players often sit in blocks that `remove` strips from the text
+    const videoSources = [];
+    const videoElement = selectors.video ? doc.querySelector(selectors.video) : null;
+    if (videoElement) {
+        videoSources.push(videoElement.getAttribute('src'), videoElement.getAttribute('content'));
+        videoElement.querySelectorAll('source').forEach((source) => videoSources.push(source.getAttribute('src')));
+    }
+
+    // og:video may point to an embeddable player page, which Telegram cannot send
+    const videoTypeMeta = doc.querySelector('meta[property="og:video:type"]');
+    const videoType = videoTypeMeta ? videoTypeMeta.getAttribute('content') || '' : '';
+    if (!videoType || videoType.startsWith('video/')) {
+        doc.querySelectorAll('meta[property="og:video:secure_url"], meta[property="og:video:url"], meta[property="og:video"]')
+            .forEach((meta) => videoSources.push(meta.getAttribute('content')));
+    }
+
+    let video_url = null;
+    for (const source of videoSources) {
+        // blob: and data: sources only exist inside the page's player
+        if (!source || /^(blob|data):/i.test(source)) continue;
+        try {
+            const url = new URL(source, baseUrl);
+            if (!/^https?:$/.test(url.protocol)) continue;
+            video_url = url.href;
+            break;
+        } catch (error) {
+            // Skip sources that are not valid URLs
+        }
+    }
+
+    let canonical_url = null;
+    const canonicalElement = doc.querySelector('link[rel="canonical"]') || doc.querySelector('meta[property="og:url"]');
+    const canonicalHref = canonicalElement ?
+        canonicalElement.getAttribute('href') || canonicalElement.getAttribute('content') : '';
+    if (canonicalHref) {
+        try {
+            const url = new URL(canonicalHref, baseUrl);
+            if (/^https?:$/.test(url.protocol)) canonical_url = url.href;
+        } catch (error) {
+            // Ignore an invalid canonical link
+        }
+    }
+
+    //Remove content that is not needed
+    if (selectors.remove) {
+        doc.querySelectorAll(selectors.remove).forEach((element) => element.remove());
+    }
+
+    let content = '';
+
+    // Find main image
+    const imageElement = doc.querySelector(selectors.image);
+    const image_url = imageElement ? imageElement.getAttribute('content') : null;
+
+    const element = doc.querySelector(selectors.text);
+    if (element) {
+        // Remove scripts, ads, and other unnecessary elements
+        const clonedElement = element.cloneNode(true);
+
+        // Get just the text content
+        content = clonedElement.textContent.trim()
+            .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
+            .replace(/\n\s*\n/g, '\n\n'); // Replace multiple newlines with double newline
+    }
+
+    return {image_url, video_url, content, canonical_url};
+}
+
+module.exports = {
+    extractNewsItems,
+    extractArticle
+};
@@ -0,0 +1,254 @@
+const axios = require('axios');
+const {DOMParser, parseHTML} = require('linkedom');
+const {config} = require('../config');
+
+// Source types that are read as feeds instead of scraped with selectors
+const FEED_TYPES = ['rss', 'atom', 'jsonfeed'];
+
+/**
+ * Check whether a source is a feed
+ * @param {Object} source - Source entry from config.sources
+ * @returns {boolean} - true for rss, atom and jsonfeed sources
+ */
+function isFeedSource(source) {
+    return FEED_TYPES.includes(source.type);
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text with collapsed whitespace
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    const {document} = parseHTML(`<html><body>${html}</body></html>`);
+    return document.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalise a feed date to an ISO string
+ * @param {string} value - Date in RFC 822 or ISO 8601 format
+ * @returns {string|null} - ISO date or null if missing or invalid
+ */
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Get the text of the first child element with one of the given tag names
+ * @param {Element} element - Parent element
+ * @param {...string} tagNames - Tag names to try in order
+ * @returns {string} - Trimmed text or an empty string
+ */
+function childText(element, ...tagNames) {
+    for (const tagName of tagNames) {
+        const child = element.getElementsByTagName(tagName)[0];
+        if (child && child.textContent.trim()) return child.textContent.trim();
+    }
+    return '';
+}
+
+/**
+ * Find the image of an RSS item from its enclosure or Media RSS elements
+ * @param {Element} item - RSS item element
+ * @returns {string|null} - Image URL
+ */
+function findRssImage(item) {
+    for (const enclosure of item.getElementsByTagName('enclosure')) {
+        if ((enclosure.getAttribute('type') || '').startsWith('image/')) return enclosure.getAttribute('url');
+    }
+    for (const media of item.getElementsByTagName('media:content')) {
+        const medium = media.getAttribute('medium') || '';
+        const type = media.getAttribute('type') || '';
+        if (medium === 'image' || type.startsWith('image/')) return media.getAttribute('url');
+    }
+    const thumbnail = item.getElementsByTagName('media:thumbnail')[0];
+    return thumbnail ? thumbnail.getAttribute('url') : null;
+}
+
+/**
+ * Parse an RSS 2.0 document
+ * @param {string} body - Feed XML
+ * @returns {Array} - Feed entries
+ */
+function parseRss(body) {
+    const document = new DOMParser().parseFromString(body, 'text/xml');
+
+    return [...document.getElementsByTagName('item')].map(item => {
+        const guid = item.getElementsByTagName('guid')[0];
+        const guidIsLink = guid && guid.getAttribute('isPermaLink') !== 'false' && /^https?:/.test(guid.textContent.trim());
+
+        return {
+            title: htmlToText(childText(item, 'title')),
+            link: childText(item, 'link') || (guidIsLink ? guid.textContent.trim() : ''),
+            published_at: toIsoDate(childText(item, 'pubDate', 'dc:date')),
+            summary: htmlToText(childText(item, 'description')),
+            content: htmlToText(childText(item, 'content:encoded')),
+            image_url: findRssImage(item)
+        };
+    });
+}
+
+/**
+ * Parse an Atom 1.0 document
+ * @param {string} body - Feed XML
+ * @returns {Array} - Feed entries
+ */
+function parseAtom(body) {
+    const document = new DOMParser().parseFromString(body, 'text/xml');
+
+    return [...document.getElementsByTagName('entry')].map(entry => {
+        const links = [...entry.getElementsByTagName('link')];
+        const alternate = links.find(link => (link.getAttribute('rel') || 'alternate') === 'alternate');
+        const image = links.find(link => link.getAttribute('rel') === 'enclosure' && (link.getAttribute('type') || '').startsWith('image/'));
+        const thumbnail = entry.getElementsByTagName('media:thumbnail')[0];
+
+        return {
+            title: htmlToText(childText(entry, 'title')),
+            link: alternate ? alternate.getAttribute('href') : '',
+            published_at: toIsoDate(childText(entry, 'published', 'updated')),
+            summary: htmlToText(childText(entry, 'summary')),
+            content: htmlToText(childText(entry, 'content')),
+            image_url: image ? image.getAttribute('href') : (thumbnail ? thumbnail.getAttribute('url') : null)
+        };
+    });
+}
+
+/**
+ * Parse a JSON Feed 1.x document
+ * @param {string|Object} body - Feed JSON
+ * @returns {Array} - Feed entries
+ */
+function parseJsonFeed(body) {
+    const feed = typeof body === 'string' ? JSON.parse(body) : body;
+
+    return (feed.items || []).map(item => {
+        const attachment = (item.attachments || []).find(file => (file.mime_type || '').startsWith('image/'));
+
+        return {
+            title: (item.title || '').trim(),
+            link: item.url || item.external_url || '',
+            published_at: toIsoDate(item.date_published || item.date_modified),
+            summary: (item.summary || '').trim(),
+            content: item.content_text ? item.content_text.trim() : htmlToText(item.content_html),
+            image_url: item.image || item.banner_image || (attachment ? attachment.url : null)
+        };
+    });
+}
+
+/**
+ * Parse a feed body into entries
+ * @param {string|Object} body - Feed document
+ * @param {string} type - 'rss', 'atom' or 'jsonfeed'
+ * @returns {Array} - Entries with title, link, published_at, summary, content and image_url
+ */
+function parseFeed(body, type) {
+    switch (type) {
+        case 'rss':
+            return parseRss(body);
+        case 'atom':
+            return parseAtom(body);
+        case 'jsonfeed':
+            return parseJsonFeed(body);
+        default:
+            throw new Error(`Unsupported feed type "${type}"`);
+    }
+}
+
+/**
+ * Resolve the link of a feed entry
+ * @param {string} link - Link as written in the feed
+ * @param {string} url - URL of the feed
+ * @returns {string|null} - Absolute link, or null when the link is malformed or not http(s)
+ */
+function resolveEntryLink(link, url) {
+    let resolved;
+    try {
+        resolved = new URL(link, url);
+    } catch (error) {
+        console.warn(`Skipping feed entry with malformed link "${link}" in ${url}`);
+        return null;
+    }
+
+    // javascript: and other non-web links would end up in posts and the dashboard
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+        console.warn(`Skipping feed entry with ${resolved.protocol} link in ${url}`);
+        return null;
+    }
+    return resolved.href;
+}
+
+/**
+ * Turn a feed body into news items, skipping entries without a title or a usable link
+ * @param {string} body - Feed body
+ * @param {string} type - 'rss', 'atom' or 'jsonfeed'
+ * @param {string} url - URL of the feed, used to resolve relative links
+ * @returns {Array} - Entries with absolute links and null for a missing summary or content
+ */
+function parseFeedItems(body, type, url) {
+    const items = [];
+
+    for (const item of parseFeed(body, type)) {
+        if (!item.title || !item.link) continue;
+
+        // One broken entry must not cost the rest of the feed
+        const link = resolveEntryLink(item.link, url);
+        if (!link) continue;
+
+        items.push({
+            ...item,
+            link,
+            // Empty strings would defeat the "already has content" check
+            summary: item.summary || null,
+            content: item.content || null
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Download the body of a feed
+ * @param {string} url - URL of the feed
+ * @returns {Promise<string>} - Feed body
+ */
+async function fetchFeed(url) {
+    const response = await axios.get(url, {
+        timeout: config.http.timeout,
+        responseType: 'text',
+        headers: {'User-Agent': config.browser.userAgent}
+    });
+    return String(response.data);
+}
+
+/**
+ * Read news items from an RSS, Atom or JSON feed
+ * @param {string} url - URL of the feed
+ * @param {string} type - 'rss', 'atom' or 'jsonfeed'
+ * @param {string} sourceName - Name of the news source
+ * @returns {Promise<Array>} - Array of news items
+ */
+async function scrapeFeed(url, type, sourceName = '') {
+    try {
+        console.log(`Reading ${type} feed: ${url}`);
+        const body = await fetchFeed(url);
+
+        const newsItems = parseFeedItems(body, type, url).map(item => ({...item, source: sourceName}));
+
+        console.log(`Extracted ${newsItems.length} news items from ${sourceName}`);
+        return newsItems;
+    } catch (error) {
+        console.error('Error reading feed:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    isFeedSource,
+    parseFeed,
+    parseFeedItems,
+    fetchFeed,
+    scrapeFeed
+};
@@ -0,0 +1,237 @@
+const {config} = require('../config');
+
+const SCOPES = ['title', 'content', 'translation', 'source', 'url'];
+const MATCH_TYPES = ['word', 'phrase', 'regex'];
+
+// Actions in order of precedence: an allow rule that fires overrides all others
+const ACTIONS = ['allow', 'reject', 'flag', 'lower'];
+
+// Arabic letter forms and Arabic or Persian digits, mapped to the forms rules are matched in
+const CHARACTER_MAP = {
+    'ي': 'ی', 'ى': 'ی', 'ئ': 'ی', 'ك': 'ک', 'ة': 'ه', 'ۀ': 'ه', 'أ': 'ا', 'إ': 'ا', 'ٱ': 'ا', 'ؤ': 'و',
+    '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
+    '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9'
+};
+const CHARACTER_PATTERN = new RegExp(`[${Object.keys(CHARACTER_MAP).join('')}]`, 'g');
+
+// Harakat, superscript alef and tatweel
+const DIACRITICS_PATTERN = /[\u064b-\u065f\u0670\u0640]/g;
+
+// Compiled rules, rebuilt when config.filters is replaced
+let cache = {source: null, rules: []};
+
+/**
+ * Normalise text for matching: Persian letter forms, Latin digits, no diacritics,
+ * zero-width non-joiners as spaces, lower case and single spaces
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .replace(CHARACTER_PATTERN, character => CHARACTER_MAP[character])
+        .replace(DIACRITICS_PATTERN, '')
+        .replace(/[\u200c\u200d\u00a0]/g, ' ')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a rule from config.filters.rules and build its matcher
+ * @param {Object} rule - Rule settings
+ * @param {number} index - Position of the rule, used when it has no name
+ * @returns {Object} - Rule with name, scopes, sources, action, reason, amount and test(text)
+ * @throws {Error} - If the rule is invalid
+ */
+function compileRule(rule, index) {
+    const name = rule.name || `rule ${index + 1}`;
+    const scopes = [].concat(rule.scope || ['title', 'content', 'translation']);
+    const match = rule.match || 'phrase';
+    const action = rule.action || 'reject';
+    const patterns = [].concat(rule.patterns || rule.pattern || []).filter(Boolean);
+
+    const invalidScope = scopes.find(scope => !SCOPES.includes(scope));
+    if (invalidScope) throw new Error(`Filter ${name}: unknown scope "${invalidScope}"`);
+    if (!MATCH_TYPES.includes(match)) throw new Error(`Filter ${name}: unknown match type "${match}"`);
+    if (!ACTIONS.includes(action)) throw new Error(`Filter ${name}: unknown action "${action}"`);
+    if (!patterns.length) throw new Error(`Filter ${name}: no patterns`);
+
+    const normalize = rule.normalize !== false;
+    let expressions;
+    try {
+        expressions = patterns.map(pattern => {
+            if (match === 'regex') return new RegExp(pattern, rule.flags || 'iu');
+
+            // Words may not touch other letters or digits, phrases match anywhere
+            const literal = escapeRegExp(normalize ? normalizeText(pattern) : pattern).replace(/ /g, '\\s+');
+            return match === 'word' ?
+                new RegExp(`(?<![\\p{L}\\p{N}_])${literal}(?![\\p{L}\\p{N}_])`, 'iu') :
+                new RegExp(literal, 'iu');
+        });
+    } catch (error) {
+        throw new Error(`Filter ${name}: ${error.message}`);
+    }
+
+    return {
+        name,
+        scopes,
+        sources: rule.sources || null,
+        action,
+        reason: rule.reason || `Matched filter ${name}`,
+        amount: rule.amount || 1,
+        test(text) {
+            const subject = normalize ? normalizeText(text) : String(text || '');
+            for (const expression of expressions) {
+                const found = subject.match(expression);
+                if (found) return found[0];
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Read the filter rules from config.filters
+ * A plain list of keywords, the format used before rules existed, becomes one phrase rule that rejects.
+ * @returns {Array} - Compiled rules
+ * @throws {Error} - If a rule is invalid
+ */
+function getFilterRules() {
+    const source = config.filters;
+    if (cache.source === source) return cache.rules;
+
+    let rules = (source && source.rules) || [];
+    if (Array.isArray(source)) {
+        rules = source.length ? [{name: 'keywords', patterns: source, action: 'reject', reason: 'Matched filter keyword'}] : [];
+    }
+
+    cache = {source, rules: rules.map(compileRule)};
+    return cache.rules;
+}
+
+/**
+ * Get the texts of a news item for each scope
+ * @param {Object} news - The news item
+ * @param {Object} [translation] - {title, content} of a translation
+ * @returns {Object} - Text by scope; scopes without text are left out
+ */
+function getScopeTexts(news, translation = null) {
+    const texts = {
+        title: news.title,
+        content: news.content || news.summary,
+        source: news.source,
+        url: news.canonical_url || news.link
+    };
+    if (translation) {
+        texts.translation = `${translation.title || ''}\n${translation.content || ''}`;
+    }
+    return texts;
+}
+
+/**
+ * Run filter rules over texts
+ * @param {Object} texts - Text by scope
+ * @param {Object} options - Evaluation options
+ * @param {Array<string>} [options.scopes] - Only check these scopes
+ * @param {string} [options.source] - Source of the item, for rules limited to some sources
+ * @returns {Object} - {action, reason, matches, priority}; action is null when no rule fires or an allow rule fires
+ */
+function evaluateTexts(texts, {scopes = SCOPES, source = null} = {}) {
+    const matches = [];
+
+    for (const rule of getFilterRules()) {
+        if (rule.sources && !rule.sources.includes(source)) continue;
+
+        for (const scope of rule.scopes) {
+            if (!scopes.includes(scope) || !texts[scope]) continue;
+
+            const match = rule.test(texts[scope]);
+            if (match) {
+                matches.push({rule: rule.name, action: rule.action, reason: rule.reason, scope, match, amount: rule.amount});
+                break;
+            }
+        }
+    }
+
+    const decisive = ACTIONS.map(action => matches.find(match => match.action === action)).find(Boolean);
+    const priority = matches
+        .filter(match => match.action === 'lower')
+        .reduce((total, match) => total - match.amount, 0);
+
+    return {
+        action: decisive && decisive.action !== 'allow' ? decisive.action : null,
+        reason: decisive ? describeMatch(decisive) : null,
+        matches,
+        priority: decisive && decisive.action === 'allow' ? 0 : priority
+    };
+}
+
+/**
+ * Run the filter rules over a news item
+ * @param {Object} news - The news item
+ * @param {Object} options - Evaluation options
+ * @param {Object} [options.translation] - {title, content} to check in the translation scope
+ * @param {Array<string>} [options.scopes] - Only check these scopes
+ * @returns {Object} - {action, reason, matches, priority}
+ */
+function evaluateFilters(news, {translation = null, scopes = SCOPES} = {}) {
+    return evaluateTexts(getScopeTexts(news, translation), {scopes, source: news.source});
+}
+
+/**
+ * Describe why a rule fired, for news events and the filters test command
+ * @param {Object} match - Match from evaluateTexts
+ * @returns {string} - e.g. 'Filter sensitive: Sensitive term ("نماز" in title)'
+ */
+function describeMatch(match) {
+    return `Filter ${match.rule}: ${match.reason} ("${match.match}" in ${match.scope})`;
+}
+
+/**
+ * Check whether any rule flags items for an editor
+ * @returns {boolean} - true if a flag rule is configured
+ */
+function hasFlagRules() {
+    return getFilterRules().some(rule => rule.action === 'flag');
+}
+
+/**
+ * Print which rules fire for a text, checked in every scope
+ * @param {string} text - Text to test
+ * @param {string} [source] - Source name for rules limited to some sources
+ * @returns {Object} - Result of evaluateTexts
+ */
+function printFilterTest(text, source = null) {
+    const texts = Object.fromEntries(SCOPES.map(scope => [scope, text]));
+    const result = evaluateTexts(texts, {source});
+
+    console.log(`Normalised:  ${normalizeText(text)}`);
+    if (!result.matches.length) {
+        console.log('No rules fire');
+    }
+    for (const match of result.matches) {
+        console.log(`  ${match.action.padEnd(7)} ${match.rule}: ${match.reason} (matched "${match.match}" in ${match.scope})`);
+    }
+    console.log(`Result:      ${result.action || 'pass'}${result.priority ? `, priority ${result.priority}` : ''}`);
+    return result;
+}
+
+module.exports = {
+    evaluateFilters,
+    evaluateTexts,
+    describeMatch,
+    normalizeText,
+    getFilterRules,
+    hasFlagRules,
+    printFilterTest,
+    SCOPES
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const {fetchPageHtml, extractNewsItemsFromHtml, extractArticleFromHtml} = require('./scraper');
+const {isFeedSource, fetchFeed, parseFeedItems} = require('./feedReader');
+const {config} = require('../config');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+// Listing items whose title and link are stored as expectations; the count covers the rest
+const EXPECTED_ITEMS = 5;
+
+// Characters of the article text stored as an expectation; the length covers the rest
+const EXPECTED_CONTENT_START = 200;
+
+/**
+ * Get the fixture directory of a source
+ * @param {string} name - Source name
+ * @returns {string} - Directory path
+ */
+function getFixtureDir(name) {
+    return path.join(FIXTURES_DIR, name);
+}
+
+/**
+ * List the sources that have captured fixtures
+ * @returns {Array<string>} - Source names
+ */
+function listFixtures() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => fs.existsSync(path.join(getFixtureDir(name), 'fixture.json')))
+        .sort();
+}
+
+/**
+ * Read the fixture of a source
+ * @param {string} name - Source name
+ * @returns {Object} - fixture.json with the saved listing and article pages as `listing` and `article`
+ */
+function loadFixture(name) {
+    const dir = getFixtureDir(name);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+    return {
+        ...fixture,
+        listing: fs.readFileSync(path.join(dir, fixture.files.listing), 'utf8'),
+        article: fixture.files.article ? fs.readFileSync(path.join(dir, fixture.files.article), 'utf8') : null
+    };
+}
+
+/**
+ * Run the listing and article extraction over saved pages, without network access
+ * @param {Object} source - Source entry from config.sources
+ * @param {Object} pages - Saved pages
+ * @param {string} pages.listing - Listing page HTML or feed body
+ * @param {string} pages.listingUrl - URL the listing was loaded from
+ * @param {string} [pages.article] - Article page HTML
+ * @param {string} [pages.articleUrl] - URL the article was loaded from
+ * @returns {Object} - {items, article}; article is null without an article page
+ */
+function extractPages(source, {listing, listingUrl, article = null, articleUrl = null}) {
+    const items = isFeedSource(source) ?
+        parseFeedItems(listing, source.type, listingUrl) :
+        extractNewsItemsFromHtml(listing, listingUrl, source.selectors);
+
+    return {
+        items,
+        article: article && source.selectors ? extractArticleFromHtml(article, articleUrl, source.selectors) : null
+    };
+}
+
+/**
+ * Build the expectations of a fixture from what the extraction found
+ * @param {Object} result - Result of extractPages
+ * @returns {Object} - {itemCount, items, article}
+ */
+function describeExpected({items, article}) {
+    return {
+        itemCount: items.length,
+        items: items.slice(0, EXPECTED_ITEMS).map(item => ({title: item.title, link: item.link})),
+        article: article ? {
+            contentLength: article.content.length,
+            contentStart: article.content.substring(0, EXPECTED_CONTENT_START),
+            image_url: article.image_url,
+            video_url: article.video_url
+        } : null
+    };
+}
+
+/**
+ * Save the listing page and one article page of a source as a test fixture
+ * The expectations are written from what the current selectors extract; review them before committing.
+ * @param {string} name - Source name
+ * @param {string} [articleUrl] - Article to save, defaults to the first item of the listing
+ * @returns {Promise<Object>} - The written fixture.json
+ * @throws {Error} - If the source is unknown or its listing has no items
+ */
+async function captureFixture(name, articleUrl = null) {
+    const source = config.sources[name];
+    if (!source) throw new Error(`Source "${name}" not found in configuration`);
+
+    const dir = getFixtureDir(name);
+    const feed = isFeedSource(source);
+    const files = {
+        listing: feed ? (source.type === 'jsonfeed' ? 'feed.json' : 'feed.xml') : 'listing.html',
+        article: source.selectors ? 'article.html' : null
+    };
+
+    console.log(`Capturing ${name} from ${source.url}`);
+    let listing;
+    if (feed) {
+        listing = {html: await fetchFeed(source.url), url: source.url};
+    } else {
+        listing = await fetchPageHtml(source.url, source.selectors.newsContainer, source.fetchMode);
+        // The listing may be rendered client-side, as in scrapeNews
+        if (source.fetchMode === 'http' && !extractNewsItemsFromHtml(listing.html, listing.url, source.selectors).length) {
+            console.log(`No news items found over http for ${name}, falling back to browser`);
+            listing = await fetchPageHtml(source.url, source.selectors.newsContainer, 'browser');
+        }
+    }
+
+    const pages = {listing: listing.html, listingUrl: listing.url};
+    const {items} = extractPages(source, pages);
+    if (items.length === 0) throw new Error(`No news items found on the ${name} listing, fix its selectors first`);
+
+    if (files.article) {
+        const article = await fetchPageHtml(articleUrl || items[0].link, source.selectors.text, source.fetchMode);
+        pages.article = article.html;
+        pages.articleUrl = article.url;
+    }
+
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(path.join(dir, files.listing), pages.listing);
+    if (files.article) fs.writeFileSync(path.join(dir, files.article), pages.article);
+
+    const fixture = {
+        source: name,
+        capturedAt: new Date().toISOString(),
+        listingUrl: pages.listingUrl,
+        articleUrl: pages.articleUrl || null,
+        files,
+        expected: describeExpected(extractPages(source, pages))
+    };
+    fs.writeFileSync(path.join(dir, 'fixture.json'), `${JSON.stringify(fixture, null, 2)}\n`);
+
+    const {expected} = fixture;
+    console.log(`Saved ${name} fixture: ${expected.itemCount} items` +
+        (expected.article ? `, article with ${expected.article.contentLength} characters of text` : ''));
+    return fixture;
+}
+
+/**
+ * Rewrite the expectations of a fixture from its saved pages, after an intended selector change
+ * @param {string} name - Source name
+ * @returns {Object} - The written fixture.json
+ * @throws {Error} - If the source is unknown or has no fixture
+ */
+function updateFixture(name) {
+    const source = config.sources[name];
+    if (!source) throw new Error(`Source "${name}" not found in configuration`);
+
+    const {listing, article, ...fixture} = loadFixture(name);
+    fixture.expected = describeExpected(extractPages(source, {...fixture, listing, article}));
+    fs.writeFileSync(path.join(getFixtureDir(name), 'fixture.json'), `${JSON.stringify(fixture, null, 2)}\n`);
+
+    console.log(`Updated ${name} fixture: ${fixture.expected.itemCount} items`);
+    return fixture;
+}
+
+/**
+ * Capture or update the fixtures of one source or all of them, continuing after a source fails
+ * @param {string} action - 'capture' or 'update'
+ * @param {string} name - Source name or 'all'
+ * @param {string} [articleUrl] - Article to capture, only for a single source
+ * @returns {Promise<number>} - Number of sources that failed
+ */
+async function runFixtures(action, name, articleUrl = null) {
+    const names = name === 'all' ?
+        (action === 'update' ? listFixtures() : Object.keys(config.sources)) :
+        [name];
+
+    let failures = 0;
+    for (const sourceName of names) {
+        try {
+            if (action === 'capture') {
+                await captureFixture(sourceName, name === 'all' ? null : articleUrl);
+            } else {
+                updateFixture(sourceName);
+            }
+        } catch (error) {
+            console.error(`Could not ${action} the ${sourceName} fixture:`, error.message);
+            failures++;
+        }
+    }
+    return failures;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    listFixtures,
+    loadFixture,
+    extractPages,
+    describeExpected,
+    captureFixture,
+    updateFixture,
+    runFixtures
+};
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const {parseHTML} = require('linkedom');
+const {config} = require('../config');
+
+/**
+ * Error thrown when a static fetch hits a bot challenge and the browser is needed
+ */
+class ChallengeError extends Error {
+    constructor(url) {
+        super(`Bot challenge detected at ${url}`);
+        this.name = 'ChallengeError';
+        this.url = url;
+    }
+}
+
+/**
+ * Check whether a response body is a CloudFlare challenge page
+ * @param {string} html - Response body
+ * @returns {boolean} - true if the page is a challenge
+ */
+function isChallengePage(html) {
+    return html.includes('cloudflare') && html.includes('challenge');
+}
+
+/**
+ * Download a page without a browser and parse it into a DOM document
+ * @param {string} url - URL of the page
+ * @returns {Promise<Object>} - {document, html, url} where url is the final URL after redirects
+ */
+async function fetchDocument(url) {
+    const response = await axios.get(url, {
+        timeout: config.http.timeout,
+        maxRedirects: 5,
+        responseType: 'text',
+        // Challenge pages are usually served with 403/503, inspect them instead of throwing
+        validateStatus: status => status < 400 || status === 403 || status === 503,
+        headers: {
+            'User-Agent': config.browser.userAgent,
+            ...config.browser.headers
+        }
+    });
+
+    const html = String(response.data);
+    if (isChallengePage(html)) throw new ChallengeError(url);
+    if (response.status >= 400) throw new Error(`Request failed with status code ${response.status}`);
+
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    const {document} = parseHTML(html);
+
+    return {document, html, url: finalUrl};
+}
+
+module.exports = {
+    fetchDocument,
+    ChallengeError
+};
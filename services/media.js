@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const {getMediaFileId, saveMediaFileId, deleteMediaFileId} = require('../db/newsDatabase');
+const {generateHash} = require('../utils/helpers');
+const {config} = require('../config');
+
+// Formats sharp can read and that are worth re-encoding for Telegram
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+
+// Lowest JPEG quality tried when an image is over config.media.maxPhotoSize
+const MIN_JPEG_QUALITY = 40;
+
+/**
+ * Error thrown when an image cannot be downloaded or does not pass validation
+ */
+class MediaError extends Error {
+    constructor(message, url) {
+        super(`${message}: ${url}`);
+        this.name = 'MediaError';
+        this.url = url;
+    }
+}
+
+/**
+ * Check whether a watermark setting should be applied
+ * @param {Object|boolean} watermark - Watermark settings, false for none
+ * @returns {boolean} - true if the watermark is enabled and has an image or text
+ */
+function isWatermarkEnabled(watermark) {
+    return Boolean(watermark && watermark.enabled !== false && (watermark.image || watermark.text));
+}
+
+/**
+ * Get the cache key of an image processed with a watermark setting
+ * @param {Object|boolean} watermark - Watermark settings, false for none
+ * @returns {string} - 'plain' or a key derived from the watermark settings
+ */
+function getVariant(watermark) {
+    return isWatermarkEnabled(watermark) ? `wm-${generateHash(JSON.stringify(watermark)).substring(0, 12)}` : 'plain';
+}
+
+/**
+ * Download an image into the cache, or read it from there
+ * @param {string} url - Image URL
+ * @returns {Promise<Buffer>} - Image bytes
+ * @throws {MediaError} - If the download fails or the response is not an image
+ */
+async function downloadImage(url) {
+    const {cacheDir, maxDownloadSize} = config.media;
+    const file = path.join(cacheDir, generateHash(url));
+
+    try {
+        return await fs.promises.readFile(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: config.http.timeout,
+            maxRedirects: 5,
+            maxContentLength: maxDownloadSize,
+            headers: {
+                'User-Agent': config.browser.userAgent,
+                'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+            }
+        });
+    } catch (error) {
+        throw new MediaError(`Could not download image (${error.message})`, url);
+    }
+
+    const type = response.headers['content-type'] || '';
+    if (type && !type.startsWith('image/') && !type.startsWith('application/octet-stream')) {
+        throw new MediaError(`Response is not an image (${type})`, url);
+    }
+
+    const buffer = Buffer.from(response.data);
+    await fs.promises.mkdir(cacheDir, {recursive: true});
+    await fs.promises.writeFile(file, buffer);
+    return buffer;
+}
+
+/**
+ * Render the watermark overlay for an image
+ * @param {Object} watermark - Watermark settings
+ * @param {number} imageWidth - Width of the image it is placed on
+ * @returns {Promise<Object>} - {data, info} of a PNG overlay
+ */
+async function createWatermark(watermark, imageWidth) {
+    const overlayWidth = Math.max(1, Math.round(imageWidth * watermark.width));
+    let overlay;
+
+    if (watermark.text) {
+        const fontSize = Math.max(10, Math.round(overlayWidth / Math.max(watermark.text.length * 0.6, 1)));
+        const height = Math.round(fontSize * 1.5);
+        const text = watermark.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        overlay = sharp(Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${overlayWidth}" height="${height}">` +
+            `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" ` +
+            `font-size="${fontSize}" fill="#ffffff" stroke="#000000" stroke-width="${Math.max(1, fontSize / 20)}">${text}</text>` +
+            '</svg>'
+        ));
+    } else {
+        overlay = sharp(await sharp(watermark.image).resize({width: overlayWidth}).png().toBuffer());
+    }
+
+    // Scale the alpha channel down to the configured opacity
+    return overlay
+        .ensureAlpha()
+        .composite([{
+            input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+            raw: {width: 1, height: 1, channels: 4},
+            tile: true,
+            blend: 'dest-in'
+        }])
+        .png()
+        .toBuffer({resolveWithObject: true});
+}
+
+/**
+ * Get the top left corner of an overlay for a position like 'southeast'
+ * @param {string} position - Compass position or 'center'
+ * @param {Object} image - {width, height} of the image
+ * @param {Object} overlay - {width, height} of the overlay
+ * @param {number} margin - Distance from the edges in pixels
+ * @returns {Object} - {left, top}
+ */
+function getOverlayPosition(position, image, overlay, margin) {
+    let left = Math.round((image.width - overlay.width) / 2);
+    let top = Math.round((image.height - overlay.height) / 2);
+
+    if (position.includes('west')) left = margin;
+    if (position.includes('east')) left = image.width - overlay.width - margin;
+    if (position.startsWith('north')) top = margin;
+    if (position.startsWith('south')) top = image.height - overlay.height - margin;
+
+    return {left: Math.max(0, left), top: Math.max(0, top)};
+}
+
+/**
+ * Download, validate and re-encode an image within Telegram's photo limits
+ * The result is cached per image and watermark setting.
+ * @param {string} url - Image URL
+ * @param {Object|boolean} watermark - Watermark settings, false for none
+ * @returns {Promise<Object>} - {buffer, width, height, size, variant}
+ * @throws {MediaError} - If the image cannot be used
+ */
+async function prepareImage(url, watermark = config.media.watermark) {
+    const {cacheDir, minDimension, maxDimension, maxAspectRatio, maxPhotoSize, jpegQuality} = config.media;
+    const variant = getVariant(watermark);
+    const file = path.join(cacheDir, `${generateHash(url)}-${variant}.jpg`);
+
+    try {
+        const cached = await fs.promises.readFile(file);
+        const {width, height} = await sharp(cached).metadata();
+        return {buffer: cached, width, height, size: cached.length, variant};
+    } catch (error) {
+        // Not prepared yet
+    }
+
+    const original = await downloadImage(url);
+
+    try {
+        const metadata = await sharp(original).metadata();
+        if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+            throw new MediaError(`Unsupported image format ${metadata.format}`, url);
+        }
+        if (Math.min(metadata.width, metadata.height) < minDimension) {
+            throw new MediaError(`Image is too small (${metadata.width}x${metadata.height})`, url);
+        }
+        if (Math.max(metadata.width, metadata.height) / Math.min(metadata.width, metadata.height) > maxAspectRatio) {
+            throw new MediaError(`Image is too narrow (${metadata.width}x${metadata.height})`, url);
+        }
+
+        // Apply EXIF rotation, fit within maxDimension and drop transparency, which JPEG cannot keep
+        const resized = await sharp(original)
+            .rotate()
+            .resize({width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true})
+            .flatten({background: '#ffffff'})
+            .toBuffer({resolveWithObject: true});
+        const {width, height} = resized.info;
+
+        let image = sharp(resized.data);
+        if (isWatermarkEnabled(watermark)) {
+            const overlay = await createWatermark(watermark, width);
+            const margin = Math.round(width * watermark.margin);
+            image = image.composite([{
+                input: overlay.data,
+                ...getOverlayPosition(watermark.position, {width, height}, overlay.info, margin)
+            }]);
+        }
+        const composed = await image.toBuffer();
+
+        let buffer;
+        for (let quality = jpegQuality; ; quality -= 10) {
+            buffer = await sharp(composed).jpeg({quality, mozjpeg: true}).toBuffer();
+            if (buffer.length <= maxPhotoSize) break;
+            if (quality - 10 < MIN_JPEG_QUALITY) {
+                throw new MediaError(`Image is over ${maxPhotoSize} bytes even at quality ${quality}`, url);
+            }
+        }
+
+        await fs.promises.mkdir(cacheDir, {recursive: true});
+        await fs.promises.writeFile(file, buffer);
+
+        return {buffer, width, height, size: buffer.length, variant};
+    } catch (error) {
+        if (error instanceof MediaError) throw error;
+        throw new MediaError(`Could not process image (${error.message})`, url);
+    }
+}
+
+/**
+ * Get what to send to Telegram for an image: the file_id of an earlier upload or the prepared bytes
+ * @param {string} url - Image URL
+ * @param {Object|boolean} watermark - Watermark settings, false for none
+ * @returns {Promise<Object>} - {url, variant, media, fileOptions, image}; image is only set for new uploads
+ * @throws {MediaError} - If the image has to be uploaded and cannot be used
+ */
+async function getTelegramPhoto(url, watermark = config.media.watermark) {
+    const variant = getVariant(watermark);
+    const fileId = await getMediaFileId(url, variant);
+    if (fileId) {
+        return {url, variant, media: fileId};
+    }
+
+    const image = await prepareImage(url, watermark);
+    return {
+        url,
+        variant,
+        media: image.buffer,
+        fileOptions: {filename: 'image.jpg', contentType: 'image/jpeg'},
+        image
+    };
+}
+
+/**
+ * Store the file_id Telegram assigned to an uploaded photo
+ * @param {Object} photo - Result of getTelegramPhoto
+ * @param {Object} message - Telegram message that carries the photo
+ * @returns {Promise<void>}
+ */
+async function rememberTelegramPhoto(photo, message) {
+    if (!photo.image || !message || !message.photo || !message.photo.length) return;
+
+    // Telegram returns several sizes, the last one is the original upload
+    const {file_id} = message.photo[message.photo.length - 1];
+    const {width, height, size} = photo.image;
+    await saveMediaFileId(photo.url, photo.variant, file_id, {width, height, size});
+}
+
+/**
+ * Forget the file_id of a photo so the next send uploads it again
+ * @param {Object} photo - Result of getTelegramPhoto
+ * @returns {Promise<void>}
+ */
+async function forgetTelegramPhoto(photo) {
+    await deleteMediaFileId(photo.url, photo.variant);
+}
+
+/**
+ * Delete cached files older than config.media.cacheMaxAge
+ * @returns {Promise<number>} - Number of deleted files
+ */
+async function cleanupMediaCache() {
+    const {cacheDir, cacheMaxAge} = config.media;
+    let deleted = 0;
+
+    try {
+        const files = await fs.promises.readdir(cacheDir);
+        const cutoff = Date.now() - cacheMaxAge;
+
+        for (const name of files) {
+            const file = path.join(cacheDir, name);
+            const stats = await fs.promises.stat(file);
+            if (stats.isFile() && stats.mtimeMs < cutoff) {
+                await fs.promises.unlink(file);
+                deleted++;
+            }
+        }
+
+        console.log(`Deleted ${deleted} cached media files`);
+        return deleted;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        console.error('Error cleaning up media cache:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    prepareImage,
+    getTelegramPhoto,
+    rememberTelegramPhoto,
+    forgetTelegramPhoto,
+    cleanupMediaCache,
+    MediaError
+};
@@ -1,15 +1,54 @@
 const {scrapeNews, scrapeArticleContent} = require('./scraper');
+const {isFeedSource, scrapeFeed} = require('./feedReader');
 const {reviewNews, translateArticle} = require('../api/geminiApi');
-const {publishNewsToTelegram} = require('./telegram');
+const {LlmValidationError} = require('../api/llmClient');
+const {
+    publishNewsToTelegram,
+    updatePublishedPost,
+    sendCorrectionNote,
+    deletePublishedPost,
+    sendApprovalRequest
+} = require('./telegram');
+const {getTargets, getTargetsForNews, getLanguagesForNews, withTranslation} = require('./targets');
+const {findDuplicates, applyCanonicalUrl, getOtherSources} = require('./dedup');
+const {evaluateFilters, describeMatch} = require('./filters');
+const {recordListingRun, recordArticleScrape} = require('./sourceHealth');
 const {
     insertNewsItem,
     updateNewsItem,
     getNewsByStatus,
     updateNewsStatus,
+    getNewsById,
+    getStoryNews,
+    recordFailedAttempt,
+    getAttempts,
+    getNewsEvents,
+    countNewsEventsSince,
+    saveReviewScore,
+    recordNewsEvent,
+    saveTranslation,
+    getTranslations,
+    recordPublication,
+    getPublications,
+    addPublicationMessages,
+    removePublicationMessages,
+    markPublicationRetracted,
+    markNewsFailed,
+    requeueFailedNews,
     StatusEnum, getNewsByStatusInLast24Hours
 } = require('../db/newsDatabase');
 const {config} = require('../config');
-const {delay} = require("../utils/helpers");
+const {mapWithConcurrency, parseDbTimestamp} = require("../utils/helpers");
+
+/**
+ * Error thrown when a news item is not in a state that allows the requested change
+ */
+class NewsStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NewsStateError';
+    }
+}
 
 /**
  * Scrape news from all sources and store in database
@@ -21,9 +60,9 @@ async function scrapeAndStoreNews(sourceName = null) {
         // If sourceName is 'all' or null, scrape all sources
         const shouldScrapeAll = sourceName === null || sourceName === 'all';
 
-        // If source name is provided and not 'all', only scrape that source
+        // If source name is provided and not 'all', only scrape that source; 'all' skips disabled sources
         const sourcesToScrape = shouldScrapeAll ?
-            config.sources :
+            Object.fromEntries(Object.entries(config.sources).filter(([, source]) => source.enabled !== false)) :
             {[sourceName]: config.sources[sourceName]};
 
         // Check if the source exists when a specific source is requested
@@ -35,23 +74,28 @@ async function scrapeAndStoreNews(sourceName = null) {
 
         console.log(`Scraping ${shouldScrapeAll ? 'all sources' : sourceName}...`);
 
-        // Process each source
-        for (const [name, source] of Object.entries(sourcesToScrape)) {
+        // Process sources in parallel, limited by the number of pages in the browser pool
+        await mapWithConcurrency(Object.entries(sourcesToScrape), config.browser.pool.maxPages, async ([name, source]) => {
+            const startedAt = Date.now();
             try {
                 console.log(`Scraping ${name} from ${source.url}`);
-                const newsItems = await scrapeNews(source.url, source.selectors, name);
+                const newsItems = isFeedSource(source) ?
+                    await scrapeFeed(source.url, source.type, name) :
+                    await scrapeNews(source.url, source.selectors, name, source.fetchMode);
 
-                // Store each news item in database
+                // Store each news item in database, starting from the priority of the source
                 for (const item of newsItems) {
-                    await insertNewsItem(item);
+                    await insertNewsItem({...item, priority: source.priority});
                 }
 
                 console.log(`Completed scraping ${name}: ${newsItems.length} items`);
+                await recordListingRun(name, {itemCount: newsItems.length, startedAt});
             } catch (error) {
                 console.error(`Error scraping ${name}:`, error);
+                await recordListingRun(name, {itemCount: 0, startedAt, error});
                 // Continue with next source if one fails
             }
-        }
+        });
 
         console.log('Finished scraping all sources');
     } catch (error) {
@@ -60,15 +104,140 @@ async function scrapeAndStoreNews(sourceName = null) {
     }
 }
 
+/**
+ * Send unscored pending news to the LLM review and store the score, category and rationale of each item
+ * @param {Array} newsItems - Unscored news items, updated in place
+ * @param {boolean} dedupChecked - Whether embeddings already removed duplicates; if not, recently
+ *   published titles are sent along so the review can score repeats low
+ * @returns {Promise<void>}
+ */
+async function scorePendingNews(newsItems, dedupChecked) {
+    const publishedNews = dedupChecked ? [] : await getNewsByStatusInLast24Hours(StatusEnum.PUBLISHED, 500);
+
+    // Create simplified list for Gemini review; the source gives reviewNews the language of each item
+    const simplifiedNews = newsItems.map(news => ({
+        id: news.id,
+        title: news.title,
+        source: news.source
+    }));
+
+    const simplifiedNewsPublished = publishedNews.map(news => ({
+        title: news.title,
+        source: news.source
+    }));
+
+    console.log(`Sending ${newsItems.length} news items to review...`);
+    let reviewResults;
+    try {
+        reviewResults = await reviewNews([...simplifiedNewsPublished, ...simplifiedNews]);
+    } catch (error) {
+        if (!(error instanceof LlmValidationError)) throw error;
+
+        // Keep the batch pending for the next run and record why it was not reviewed
+        for (const news of newsItems) {
+            await updateNewsItem(news.id, {validation_error: JSON.stringify(error)});
+            if (await handleStageFailure(news, 'review', error)) news.status = StatusEnum.FAILED;
+        }
+        console.log('Review response was invalid, news left unscored');
+        return;
+    }
+
+    const results = new Map(reviewResults.map(result => [result.id, result]));
+    for (const news of newsItems) {
+        const result = results.get(news.id);
+        if (!result) {
+            // Reviewed again in the next run, until config.maxAttempts.review runs gave it no score
+            console.warn(`Review returned no score for ${news.id}`);
+            if (await handleStageFailure(news, 'review', new Error('Review returned no score'))) {
+                news.status = StatusEnum.FAILED;
+            }
+            continue;
+        }
+
+        const review = {
+            score: Math.round(result.score),
+            category: result.category.trim().toLowerCase(),
+            rationale: result.rationale.trim()
+        };
+        await saveReviewScore(news.id, review);
+        news.review_score = review.score;
+        news.review_category = review.category;
+        news.review_rationale = review.rationale;
+    }
+}
+
+/**
+ * Describe the review result of a news item for its history
+ * @param {Object} news - Scored news item
+ * @returns {string} - e.g. 'Score 72 (economy): Oil prices affect Iran'
+ */
+function describeReview(news) {
+    return `Score ${news.review_score} (${news.review_category})${news.review_rationale ? `: ${news.review_rationale}` : ''}`;
+}
+
+/**
+ * Accept the best scored pending items for translation within the thresholds and quotas of config.review
+ * Items below rejectBelow are rejected, items older than maxAge expire, scored or not; all others stay pending.
+ * @param {Array} pendingNews - Pending news items, without the ones that failed review
+ * @returns {Promise<void>}
+ */
+async function selectReviewedNews(pendingNews) {
+    const {minScore, rejectBelow, categoryMinScores, maxPerRun, dailyQuota, maxAge} = config.review;
+    const eligible = [];
+
+    for (const news of pendingNews) {
+        const expired = Date.now() - parseDbTimestamp(news.created_at).getTime() > maxAge;
+
+        // Unscored items would otherwise wait for a score forever
+        if (news.review_score === null) {
+            if (expired) {
+                await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                    stage: 'review',
+                    reason: `Not scored within ${Math.round(maxAge / 3600000)} hours`
+                });
+            }
+            continue;
+        }
+
+        const threshold = (categoryMinScores || {})[news.review_category] ?? minScore;
+        if (news.review_score < rejectBelow) {
+            await updateNewsStatus(news.id, StatusEnum.REJECTED, {stage: 'review', reason: describeReview(news)});
+        } else if (expired) {
+            await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                stage: 'review',
+                reason: `Not selected within ${Math.round(maxAge / 3600000)} hours, ${describeReview(news)}`
+            });
+        } else if (news.review_score >= threshold) {
+            eligible.push(news);
+        }
+    }
+
+    const acceptedToday = await countNewsEventsSince('review', StatusEnum.PENDING_TRANSLATION, 24 * 60 * 60 * 1000);
+    const slots = Math.max(0, Math.min(maxPerRun, dailyQuota - acceptedToday));
+
+    // Highest score first, newer items win ties
+    eligible.sort((a, b) => b.review_score - a.review_score || (a.created_at < b.created_at ? 1 : -1));
+    for (const news of eligible.slice(0, slots)) {
+        await updateNewsItem(news.id, {status: StatusEnum.PENDING_TRANSLATION, validation_error: null}, {
+            stage: 'review',
+            reason: describeReview(news)
+        });
+        console.log(`Approved for translation: ${news.id} (score ${news.review_score})`);
+    }
+
+    const waiting = eligible.length - Math.min(slots, eligible.length);
+    console.log(`Accepted ${Math.min(slots, eligible.length)} items, ${waiting} eligible items wait for a free slot ` +
+        `(${acceptedToday} of ${dailyQuota} accepted in the last 24 hours)`);
+}
+
 /**
  * Process news pending for review
  * @returns {Promise<void>}
  */
 async function processPendingNews() {
     try {
-        // Get news items pending review
-        const publishedNews = await getNewsByStatusInLast24Hours(StatusEnum.PUBLISHED,500);
-        const pendingNews = await getNewsByStatus(StatusEnum.PENDING_REVIEW);
+        // Get news items pending review, including scored items that were not selected yet
+        let pendingNews = await getNewsByStatus(StatusEnum.PENDING_REVIEW, 500);
         console.log(`Found ${pendingNews.length} news items pending review`);
 
         if (pendingNews.length === 0) {
@@ -76,35 +245,39 @@ async function processPendingNews() {
             return;
         }
 
-        // Create simplified list for Gemini review
-        const simplifiedNews = pendingNews.map(news => ({
-            id: news.id,
-            title: news.title
-        }));
-
-        const simplifiedNewsPublished = publishedNews.map(news => ({
-            title: news.title
-        }));
+        // Block near-duplicates before review; without embeddings fall back to sending recent published titles
+        let dedupChecked = false;
+        if (config.dedup.enabled) {
+            try {
+                const duplicates = await findDuplicates([...pendingNews].reverse());
+                for (const {news, duplicateOf, similarity} of duplicates) {
+                    await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                        stage: 'dedup',
+                        reason: `Near-duplicate of ${duplicateOf} (similarity ${similarity.toFixed(3)})`
+                    });
+                }
 
-        console.log(simplifiedNewsPublished.length);
-        console.log('Sending news to Gemini for review...');
-        const reviewResults = await reviewNews([...simplifiedNewsPublished, ...simplifiedNews]);
-        const accepted = {};
-        reviewResults.forEach(result => {
-            accepted[result.id] = true;
-        });
-        // Update news items based on review results
-        console.log('Processing review results...');
-        for (const result of simplifiedNews) {
-            if (accepted.hasOwnProperty(result.id)) {
-                await updateNewsStatus(result.id, StatusEnum.PENDING_TRANSLATION);
-                console.log(`Approved for translation: ${result.id}`);
-            } else {
-                await updateNewsStatus(result.id, StatusEnum.REJECTED);
-                console.log(`Rejected: ${result.id}`);
+                const blocked = new Set(duplicates.map(duplicate => duplicate.news.id));
+                pendingNews = pendingNews.filter(news => !blocked.has(news.id));
+                console.log(`Rejected ${blocked.size} near-duplicates`);
+                dedupChecked = true;
+            } catch (error) {
+                console.error('Duplicate detection failed, sending published titles with the review instead:', error.message);
             }
         }
 
+        if (pendingNews.length === 0) {
+            console.log('No pending news left to review');
+            return;
+        }
+
+        // Score items that have not been reviewed yet; scored items keep their score across runs
+        const unscored = pendingNews.filter(news => news.review_score === null).slice(0, config.review.batchSize);
+        if (unscored.length) {
+            await scorePendingNews(unscored, dedupChecked);
+        }
+
+        await selectReviewedNews(pendingNews.filter(news => news.status === StatusEnum.PENDING_REVIEW));
         console.log('Completed processing pending news');
     } catch (error) {
         console.error('Error processing pending news:', error);
@@ -134,40 +307,111 @@ async function processTranslationNews() {
 
                 // Scrape full content if not already present
                 if (!news.content) {
-                    console.log(`Scraping content for ${news.id} from ${news.link}`);
-                    const articleContent = await scrapeArticleContent(news.link, config.sources[news.source].selectors);
-
-                    if (containsKeyword(news.title, config.filters) || (articleContent.content && containsKeyword(articleContent.content, config.filters))) {
-                        await updateNewsStatus(news.id, StatusEnum.REJECTED);
+                    // The source may have been removed from the settings since the item was scraped
+                    const source = config.sources[news.source] || {};
+                    let articleContent;
+
+                    if (source.selectors) {
+                        console.log(`Scraping content for ${news.id} from ${news.link}`);
+                        const startedAt = Date.now();
+                        try {
+                            articleContent = await scrapeArticleContent(news.link, source.selectors, source.fetchMode);
+                        } catch (error) {
+                            await recordArticleScrape(news.source, {startedAt, error});
+                            throw error;
+                        }
+                        await recordArticleScrape(news.source, {article: articleContent, startedAt});
+
+                        // An empty page usually means selectors.text no longer matches; retry rather than translate nothing
+                        if (!articleContent.content) {
+                            throw new Error(`No article text found at ${news.link}, selectors.text may be broken`);
+                        }
+
+                        // The same article may have been listed under another link
+                        const sameArticle = await applyCanonicalUrl(news, articleContent.canonical_url);
+                        if (sameArticle) {
+                            await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                                stage: 'dedup',
+                                reason: `Same article as ${sameArticle.id} (canonical URL ${articleContent.canonical_url})`
+                            });
+                            continue;
+                        }
+                    } else if (news.summary) {
+                        // Feed sources without article selectors are translated from the feed summary
+                        articleContent = {content: news.summary, image_url: null, video_url: null};
+                    } else {
+                        await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                            stage: 'translate',
+                            reason: 'Feed item has no text to translate'
+                        });
                         continue;
                     }
 
-                    // Update news with content and image
+                    // Update news with content and media, keeping the feed image if the page has none
                     await updateNewsItem(news.id, {
                         content: articleContent.content,
-                        image_url: articleContent.image_url
+                        image_url: articleContent.image_url || news.image_url,
+                        video_url: articleContent.video_url || null
                     });
 
                     // Update the news object with the scraped content
                     news.content = articleContent.content;
-                    news.image_url = articleContent.image_url;
+                    news.image_url = articleContent.image_url || news.image_url;
+                    news.video_url = articleContent.video_url || null;
                 }
 
-                // Send to Gemini for translation
-                console.log(`Translating article: ${news.id}`);
-                const translation = await translateArticle(news);
+                // Scraped or feed content goes through the filter rules before anything is translated
+                if (await applyFilterRules(news, 'pre_translation_filter', {scopes: ['title', 'content', 'source', 'url']})) {
+                    continue;
+                }
 
-                // Update with translated content
+                // Translate into every language a matching target needs
+                const languages = getLanguagesForNews(news);
+                if (languages.length === 0) {
+                    await updateNewsStatus(news.id, StatusEnum.REJECTED, {
+                        stage: 'translate',
+                        reason: 'No publishing target accepts this item'
+                    });
+                    continue;
+                }
+
+                const translations = await getTranslations(news.id);
+                let rejected = false;
+
+                for (const {language, prompt} of languages) {
+                    if (translations[language]) continue;
+
+                    console.log(`Translating article ${news.id} into ${language}`);
+                    const translation = await translateArticle(news, prompt);
+                    await saveTranslation(news.id, language, {
+                        title: translation.translatedTitle,
+                        content: translation.translatedContent
+                    });
+
+                    rejected = await applyFilterRules(news, 'post_translation_filter', {
+                        translation: {title: translation.translatedTitle, content: translation.translatedContent},
+                        scopes: ['translation']
+                    });
+                    if (rejected) break;
+                }
+
+                // Update status once all languages are translated
+                if (rejected) continue;
                 await updateNewsItem(news.id, {
-                    content: news.content,
-                    translated_title: translation.translatedTitle,
-                    translated_content: translation.translatedContent,
-                    status: containsKeyword(translation.translatedTitle, config.filters) || containsKeyword(translation.translatedContent, config.filters) ? StatusEnum.REJECTED : StatusEnum.TRANSLATED
+                    validation_error: null,
+                    status: StatusEnum.TRANSLATED
+                }, {
+                    stage: 'translate',
+                    reason: `Translated into ${languages.map(entry => entry.language).join(', ')}`
                 });
 
                 console.log(`Completed translation for ${news.id}`);
             } catch (error) {
                 console.error(`Error processing article ${news.id}:`, error);
+                if (error instanceof LlmValidationError) {
+                    await updateNewsItem(news.id, {validation_error: JSON.stringify(error)});
+                }
+                await handleStageFailure(news, 'translate', error);
                 // Continue with next news item if one fails
             }
         }
@@ -179,18 +423,190 @@ async function processTranslationNews() {
     }
 }
 
-function containsKeyword(text, keywords) {
-    return keywords.some(keyword => text.includes(keyword));
+/**
+ * Record a failed attempt and move the item to the failed status after too many of them
+ * @param {Object} news - The news item
+ * @param {string} stage - The stage that failed ('review', 'translate' or 'publish')
+ * @param {Error} error - The error of the attempt
+ * @returns {Promise<boolean>} - true if the item was moved to the failed status
+ */
+async function handleStageFailure(news, stage, error) {
+    try {
+        const attempts = await recordFailedAttempt(news.id, stage, error);
+        const maxAttempts = config.maxAttempts[stage];
+
+        if (attempts >= maxAttempts) {
+            await markNewsFailed(news.id, stage, error.message);
+            console.log(`Marked ${news.id} as failed after ${attempts} ${stage} attempts`);
+            return true;
+        }
+    } catch (dbError) {
+        // Losing the attempt count must not stop the rest of the batch
+        console.error(`Error recording ${stage} failure for ${news.id}:`, dbError);
+    }
+    return false;
+}
+
+/**
+ * Run the filter rules over a news item and apply their actions
+ * Rejected items change status; flags and lowered priorities are stored on the item and recorded as events.
+ * @param {Object} news - The news item, updated in place
+ * @param {string} stage - Stage recorded with the event
+ * @param {Object} options - Options for evaluateFilters
+ * @returns {Promise<boolean>} - true if the item was rejected
+ */
+async function applyFilterRules(news, stage, options) {
+    const verdict = evaluateFilters(news, options);
+
+    if (verdict.action === 'reject') {
+        await updateNewsStatus(news.id, StatusEnum.REJECTED, {stage, reason: verdict.reason});
+        return true;
+    }
+
+    const updates = {};
+    const reasons = [];
+    if (verdict.action === 'flag' && !news.flag_reason) {
+        updates.flag_reason = verdict.reason;
+        reasons.push(`Flagged for an editor: ${verdict.reason}`);
+    }
+    // Priorities do not add up across stages, a rule that fires twice lowers the item once
+    // Rules lower the item from the priority of its source
+    const source = config.sources[news.source];
+    const priority = ((source && source.priority) || 0) + verdict.priority;
+    if (priority < (news.priority || 0)) {
+        updates.priority = priority;
+        const lowered = verdict.matches.filter(match => match.action === 'lower').map(describeMatch);
+        reasons.push(`Priority lowered to ${priority}: ${lowered.join('; ')}`);
+    }
+
+    if (reasons.length) {
+        await updateNewsItem(news.id, updates);
+        Object.assign(news, updates);
+        await recordNewsEvent(news.id, news.status, news.status, {stage, reason: reasons.join('; ')});
+    }
+    return false;
+}
+
+/**
+ * Send translated news to the admin chat for approval (moderation mode)
+ * @returns {Promise<void>}
+ */
+async function sendNewsForApproval() {
+    try {
+        // Without moderation only items flagged by a filter rule wait for an editor
+        const translatedNews = (await getNewsByStatus(StatusEnum.TRANSLATED))
+            .filter(news => config.moderation.enabled || news.flag_reason);
+        console.log(`Found ${translatedNews.length} translated news items to send for approval`);
+
+        for (const news of translatedNews) {
+            try {
+                // Editors review the translation of the first target, edits apply to its language
+                const [target] = getTargetsForNews(news);
+                if (!target) {
+                    // Targets changed since the item was translated; requeueing it retries once one accepts it
+                    await markNewsFailed(news.id, 'publish', 'No publishing target accepts this item');
+                    continue;
+                }
+                const translations = await getTranslations(news.id);
+                await sendApprovalRequest(withTranslation(news, translations[target.language]), target);
+                await updateNewsStatus(news.id, StatusEnum.AWAITING_APPROVAL, {
+                    stage: 'moderation',
+                    reason: 'Sent to admin chat for approval'
+                });
+            } catch (error) {
+                console.error(`Error sending ${news.id} for approval:`, error);
+                // Continue with next news item if one fails
+            }
+        }
+
+        console.log('Completed sending news for approval');
+    } catch (error) {
+        console.error('Error sending news for approval:', error);
+        throw error;
+    }
+}
+
+/**
+ * Combine a news item with a translation and the other sources of its story for publishing
+ * @param {Object} news - The news item
+ * @param {Object} translation - {title, content}
+ * @returns {Promise<Object>} - Article for publishNewsToTelegram
+ */
+async function getPostArticle(news, translation) {
+    return {
+        ...withTranslation(news, translation),
+        other_sources: await getOtherSources(news)
+    };
+}
+
+/**
+ * Publish a news item to every target that accepts it and has not received it yet
+ * The item is marked published once all of its targets have it; otherwise the first error is thrown.
+ * @param {Object} news - The news item
+ * @returns {Promise<void>}
+ * @throws {NewsStateError} - If no target accepts the item
+ */
+async function publishToTargets(news) {
+    const targets = getTargetsForNews(news);
+    if (targets.length === 0) {
+        // Nothing would be sent; the item keeps its status and fails after config.maxAttempts.publish runs
+        throw new NewsStateError(`No publishing target accepts news item ${news.id}`);
+    }
+    const translations = await getTranslations(news.id);
+    const published = new Set((await getPublications(news.id)).map(publication => publication.target));
+    const errors = [];
+
+    for (const target of targets) {
+        if (published.has(target.name)) continue;
+
+        try {
+            const translation = translations[target.language];
+            if (!translation) {
+                throw new Error(`No ${target.language} translation for target ${target.name}`);
+            }
+
+            console.log(`Publishing article: ${news.id} - ${translation.title} to ${target.name}`);
+            const post = await publishNewsToTelegram(await getPostArticle(news, translation), target);
+            await recordPublication(news.id, target.name, post);
+            published.add(target.name);
+            if (post.missingOverflow) {
+                await recordNewsEvent(news.id, news.status, news.status, {
+                    stage: 'publish',
+                    reason: `Post in ${target.name} is missing ${post.missingOverflow} replies with the rest of the text: ${post.overflowError}`
+                });
+            }
+        } catch (error) {
+            console.error(`Error publishing ${news.id} to ${target.name}:`, error.message);
+            errors.push(error);
+        }
+    }
+
+    if (errors.length) {
+        throw errors[0];
+    }
+
+    // Update status to published
+    await updateNewsStatus(news.id, StatusEnum.PUBLISHED, {
+        stage: 'publish',
+        reason: `Published to ${targets.map(target => target.name).join(', ')}`
+    });
+    console.log(`Successfully published ${news.id}`);
 }
 
 /**
  * Publish translated news to Telegram
+ * In moderation mode only news approved in the admin chat is published.
  * @returns {Promise<void>}
  */
 async function publishNews() {
     try {
-        // Get translated news ready for publishing
-        const translatedNews = await getNewsByStatus(StatusEnum.TRANSLATED);
+        // Get translated news ready for publishing; without moderation, flagged items wait for approval
+        const translatedNews = config.moderation.enabled ?
+            await getNewsByStatus(StatusEnum.APPROVED) :
+            [
+                ...await getNewsByStatus(StatusEnum.APPROVED),
+                ...(await getNewsByStatus(StatusEnum.TRANSLATED)).filter(news => !news.flag_reason)
+            ];
         console.log(`Found ${translatedNews.length} translated news items to publish`);
 
         if (translatedNews.length === 0) {
@@ -201,21 +617,12 @@ async function publishNews() {
         // Process each news item
         for (const news of translatedNews) {
             try {
-                console.log(`Publishing article: ${news.id} - ${news.translated_title}`);
-
-                // Publish to Telegram
-                await publishNewsToTelegram(news);
-
-                // Update status to published
-                await updateNewsStatus(news.id, StatusEnum.PUBLISHED);
-
-                console.log(`Successfully published ${news.id}`);
-
+                await publishToTargets(news);
             } catch (error) {
                 console.error(`Error publishing article ${news.id}:`, error);
+                await handleStageFailure(news, 'publish', error);
                 // Continue with next news item if one fails
             }
-            await delay(3000)
         }
 
         console.log('Completed publishing news');
@@ -225,9 +632,368 @@ async function publishNews() {
     }
 }
 
+/**
+ * Get the live posts of a published news item together with their targets
+ * Posts published before message ids were stored, or to targets no longer configured, cannot be changed.
+ * @param {Object} news - The news item
+ * @returns {Promise<Array>} - {publication, target} pairs
+ * @throws {NewsStateError} - If the item has no post that can be changed
+ */
+async function getLivePosts(news) {
+    if (news.status !== StatusEnum.PUBLISHED) {
+        throw new NewsStateError(`News item ${news.id} is ${news.status}, not published`);
+    }
+
+    const targets = getTargets();
+    const posts = [];
+
+    for (const publication of await getPublications(news.id)) {
+        if (publication.retracted_at) continue;
+
+        const target = targets.find(entry => entry.name === publication.target);
+        if (!target || !publication.messages.some(message => message.role === 'main')) {
+            console.warn(`Post of ${news.id} in ${publication.target} cannot be changed, its target or message id is unknown`);
+            continue;
+        }
+        posts.push({publication, target});
+    }
+
+    if (posts.length === 0) {
+        throw new NewsStateError(`News item ${news.id} has no posts that can be changed`);
+    }
+    return posts;
+}
+
+/**
+ * Change the translated title or text of a published item and edit its posts
+ * Only posts of targets in the edited language are changed.
+ * @param {string} id - The ID of the news item
+ * @param {string} field - 'title' or 'content'
+ * @param {string} value - New title or text
+ * @param {Object} options - Edit options
+ * @param {string} [options.language] - Translation to edit, defaults to the language of the first post
+ * @param {string} [options.editor] - Who made the change, stored with the event
+ * @returns {Promise<number>} - Number of edited posts
+ */
+async function editPublishedNews(id, field, value, {language = null, editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    const posts = await getLivePosts(news);
+    const editedLanguage = language || posts[0].target.language;
+    const translations = await getTranslations(id);
+    if (!translations[editedLanguage]) {
+        throw new NewsStateError(`News item ${id} has no ${editedLanguage} translation`);
+    }
+
+    const translation = {...translations[editedLanguage], [field]: value};
+    await saveTranslation(id, editedLanguage, translation);
+
+    let edited = 0;
+    for (const {publication, target} of posts) {
+        if (target.language !== editedLanguage) continue;
+
+        const {added, removed} = await updatePublishedPost(await getPostArticle(news, translation), target, publication);
+        await addPublicationMessages(id, target.name, added);
+        await removePublicationMessages(id, target.name, removed);
+        edited++;
+    }
+
+    await recordNewsEvent(id, news.status, news.status, {
+        stage: 'post_edit',
+        reason: `${editedLanguage} ${field === 'title' ? 'title' : 'text'} edited by ${editor} in ${edited} posts`
+    });
+    console.log(`Edited ${edited} posts of ${id}`);
+    return edited;
+}
+
+/**
+ * Reply to the posts of a published item with a correction note
+ * @param {string} id - The ID of the news item
+ * @param {string} note - Correction text
+ * @param {Object} options - Note options
+ * @param {string} [options.editor] - Who added the note, stored with the event
+ * @returns {Promise<number>} - Number of posts that received the note
+ */
+async function addCorrectionNote(id, note, {editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    const posts = await getLivePosts(news);
+    for (const {publication, target} of posts) {
+        const message = await sendCorrectionNote(publication, note, target.labels);
+        await addPublicationMessages(id, publication.target, [{messageId: message.message_id, role: 'note'}]);
+    }
+
+    await recordNewsEvent(id, news.status, news.status, {
+        stage: 'post_note',
+        reason: `Correction note by ${editor}: ${note}`
+    });
+    console.log(`Added correction note to ${posts.length} posts of ${id}`);
+    return posts.length;
+}
+
+/**
+ * Delete the posts of a published item from their channels and mark it retracted
+ * @param {string} id - The ID of the news item
+ * @param {Object} options - Retract options
+ * @param {string} [options.editor] - Who retracted the item, stored with the event
+ * @returns {Promise<number>} - Number of deleted posts
+ */
+async function retractNews(id, {editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    const posts = await getLivePosts(news);
+    for (const {publication} of posts) {
+        const deleted = await deletePublishedPost(publication);
+        await removePublicationMessages(id, publication.target, deleted);
+        await markPublicationRetracted(id, publication.target);
+    }
+
+    await updateNewsStatus(id, StatusEnum.RETRACTED, {
+        stage: 'retract',
+        reason: `Deleted from ${posts.map(post => post.target.name).join(', ')} by ${editor}`
+    });
+    console.log(`Retracted ${posts.length} posts of ${id}`);
+    return posts.length;
+}
+
+/**
+ * Print news items that ended in the failed status
+ * @returns {Promise<void>}
+ */
+async function listFailedNews() {
+    const failedNews = await getNewsByStatus(StatusEnum.FAILED, 1000);
+    console.log(`Found ${failedNews.length} failed news items`);
+
+    for (const news of failedNews) {
+        const attempts = await getAttempts(news.id);
+        const stageAttempt = attempts.find(attempt => attempt.stage === news.failed_stage) || {};
+        console.log(`${news.id}  [${news.failed_stage}] ${stageAttempt.attempts || 0} attempts, last at ${stageAttempt.last_attempt_at || '-'}`);
+        console.log(`    ${news.title}`);
+        console.log(`    Last error: ${stageAttempt.last_error || '-'}`);
+    }
+}
+
+/**
+ * Print a news item with its attempt history
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<void>}
+ */
+async function inspectNews(id) {
+    const news = await getNewsById(id);
+    if (!news) {
+        console.error(`News item ${id} not found`);
+        return;
+    }
+
+    console.log(`ID:          ${news.id}`);
+    console.log(`Title:       ${news.title}`);
+    console.log(`Link:        ${news.link}`);
+    if (news.canonical_url && news.canonical_url !== news.link) {
+        console.log(`Canonical:   ${news.canonical_url}`);
+    }
+    console.log(`Source:      ${news.source}`);
+    if (news.review_score !== null && news.review_score !== undefined) {
+        console.log(`Review:      ${describeReview(news)}`);
+    }
+    console.log(`Status:      ${news.status}${news.failed_stage ? ` (failed at ${news.failed_stage})` : ''}`);
+    console.log(`Created:     ${news.created_at}`);
+    console.log(`Updated:     ${news.updated_at}`);
+    if (news.validation_error) {
+        console.log(`Validation:  ${news.validation_error}`);
+    }
+
+    const story = news.story_id ? await getStoryNews(news.story_id) : [];
+    for (const item of story) {
+        if (item.id === news.id) continue;
+        console.log(`Same story:  ${item.id} - ${item.source} (${item.status}) ${item.title}`);
+    }
+
+    const translations = await getTranslations(id);
+    for (const [language, translation] of Object.entries(translations)) {
+        console.log(`Title (${language}):  ${translation.title}`);
+    }
+
+    const publications = await getPublications(id);
+    for (const publication of publications) {
+        const state = publication.retracted_at ? `, retracted at ${publication.retracted_at}` : '';
+        console.log(`Published:   ${publication.target} (${publication.chat_id}) at ${publication.published_at}${state}`);
+        if (publication.messages.length) {
+            const messageIds = publication.messages.map(message => `${message.message_id} (${message.role})`);
+            console.log(`  Messages:  ${messageIds.join(', ')}`);
+        }
+    }
+
+    const attempts = await getAttempts(id);
+    console.log(attempts.length ? 'Failed attempts:' : 'No failed attempts');
+    for (const attempt of attempts) {
+        console.log(`  ${attempt.stage}: ${attempt.attempts} attempts, last at ${attempt.last_attempt_at}`);
+        console.log(`    ${attempt.last_error}`);
+    }
+}
+
+/**
+ * Get a news item with everything stored about it
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<Object|null>} - {news, translations, publications, events, attempts, story}, or null if not found
+ */
+async function getNewsRecord(id) {
+    const news = await getNewsById(id);
+    if (!news) return null;
+
+    return {
+        news,
+        translations: await getTranslations(id),
+        publications: await getPublications(id),
+        events: await getNewsEvents(id),
+        attempts: await getAttempts(id),
+        story: news.story_id ? (await getStoryNews(news.story_id)).filter(item => item.id !== id) : []
+    };
+}
+
+/**
+ * Reject a news item by hand
+ * Published items are retracted instead, rejected items stay rejected.
+ * @param {string} id - The ID of the news item
+ * @param {Object} options - Reject options
+ * @param {string} [options.reason] - Why the item was rejected
+ * @param {string} [options.editor] - Who rejected it, stored with the event
+ * @returns {Promise<void>}
+ * @throws {NewsStateError} - If the item is already published, rejected or retracted
+ */
+async function rejectNews(id, {reason = null, editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    if ([StatusEnum.PUBLISHED, StatusEnum.REJECTED, StatusEnum.RETRACTED].includes(news.status)) {
+        throw new NewsStateError(`News item ${id} is ${news.status} and cannot be rejected`);
+    }
+
+    await updateNewsStatus(id, StatusEnum.REJECTED, {
+        stage: 'manual',
+        reason: `Rejected by ${editor}${reason ? `: ${reason}` : ''}`
+    });
+}
+
+/**
+ * Replace the translation of a news item in one language
+ * The posts of a published item are edited too.
+ * @param {string} id - The ID of the news item
+ * @param {string} language - Language code, e.g. 'fa'
+ * @param {Object} changes - {title, content}, either may be left out
+ * @param {Object} options - Edit options
+ * @param {string} [options.editor] - Who made the change, stored with the event
+ * @returns {Promise<Object>} - The stored translation
+ * @throws {NewsStateError} - If the item has no translation in the language
+ */
+async function editTranslation(id, language, {title, content}, {editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    const translations = await getTranslations(id);
+    if (!translations[language]) {
+        throw new NewsStateError(`News item ${id} has no ${language} translation`);
+    }
+
+    if (news.status === StatusEnum.PUBLISHED) {
+        if (title) await editPublishedNews(id, 'title', title, {language, editor});
+        if (content) await editPublishedNews(id, 'content', content, {language, editor});
+        return (await getTranslations(id))[language];
+    }
+
+    const translation = {...translations[language], ...(title ? {title} : {}), ...(content ? {content} : {})};
+    await saveTranslation(id, language, translation);
+    await recordNewsEvent(id, news.status, news.status, {
+        stage: 'edit',
+        reason: `${language} translation edited by ${editor}`
+    });
+    return translation;
+}
+
+/**
+ * Publish a translated news item now, without waiting for approval or the publish job
+ * @param {string} id - The ID of the news item
+ * @param {Object} options - Publish options
+ * @param {string} [options.editor] - Who forced the publish, stored with the event
+ * @returns {Promise<void>}
+ * @throws {NewsStateError} - If the item is not translated yet
+ * @throws {Error} - If publishing to a target fails
+ */
+async function forcePublish(id, {editor = 'cli'} = {}) {
+    const news = await getNewsById(id);
+    if (!news) throw new Error(`News item ${id} not found`);
+
+    const publishable = [StatusEnum.TRANSLATED, StatusEnum.AWAITING_APPROVAL, StatusEnum.APPROVED, StatusEnum.FAILED];
+    if (!publishable.includes(news.status) || (news.status === StatusEnum.FAILED && news.failed_stage !== 'publish')) {
+        throw new NewsStateError(`News item ${id} is ${news.status} and cannot be published`);
+    }
+
+    await recordNewsEvent(id, news.status, news.status, {stage: 'publish', reason: `Publish forced by ${editor}`});
+    await publishToTargets(news);
+}
+
+/**
+ * Put failed news items back into the queue of the stage that failed
+ * @param {string} id - The ID of the news item, or 'all'
+ * @returns {Promise<number>} - Number of requeued items
+ */
+async function requeueNews(id) {
+    const ids = id === 'all' ?
+        (await getNewsByStatus(StatusEnum.FAILED, 10000)).map(news => news.id) :
+        [id];
+
+    let requeued = 0;
+    for (const newsId of ids) {
+        if (await requeueFailedNews(newsId)) {
+            requeued++;
+        } else {
+            console.error(`News item ${newsId} is not in the failed status`);
+        }
+    }
+
+    console.log(`Requeued ${requeued} news items`);
+    return requeued;
+}
+
+/**
+ * Print the status timeline of a news item
+ * @param {string} id - The ID of the news item
+ * @returns {Promise<void>}
+ */
+async function printNewsHistory(id) {
+    const news = await getNewsById(id);
+    if (!news) {
+        console.error(`News item ${id} not found`);
+        return;
+    }
+
+    console.log(`${news.id} - ${news.title}`);
+    console.log(`Current status: ${news.status}`);
+
+    for (const event of await getNewsEvents(id)) {
+        const transition = `${event.previous_status || '(new)'} -> ${event.new_status}`;
+        console.log(`  ${event.created_at}  ${transition.padEnd(42)} [${event.stage || '-'}] ${event.reason || ''}`);
+    }
+}
+
 module.exports = {
     scrapeAndStoreNews,
     processPendingNews,
     processTranslationNews,
-    publishNews
+    publishNews,
+    sendNewsForApproval,
+    editPublishedNews,
+    addCorrectionNote,
+    retractNews,
+    listFailedNews,
+    inspectNews,
+    getNewsRecord,
+    rejectNews,
+    editTranslation,
+    forcePublish,
+    requeueNews,
+    printNewsHistory,
+    NewsStateError
 };
\ No newline at end of file
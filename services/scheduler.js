@@ -0,0 +1,154 @@
+/**
+ * Create a scheduler that runs named jobs on fixed intervals
+ * Every job holds a lock while it runs, so a tick that fires while the previous
+ * run of the same lock is still in progress is skipped instead of overlapping.
+ * @returns {Object} - Scheduler with addJob, removeJob, start, stop and runJob functions
+ */
+function createScheduler() {
+    const jobs = new Map();
+    const locks = new Map();
+    const timers = new Map();
+    let running = false;
+
+    /**
+     * Register a job, scheduling it right away when the scheduler is already running
+     * @param {string} name - Unique job name
+     * @param {Function} task - Async function to run
+     * @param {Object} options - Job options
+     * @param {number} options.interval - Milliseconds between runs
+     * @param {number} [options.startDelay=0] - Milliseconds to wait before the first run
+     * @param {string} [options.lock] - Lock key, defaults to the job name
+     * @param {Function} [options.isAllowed] - Returns false to skip a tick
+     */
+    function addJob(name, task, {interval, startDelay = 0, lock = name, isAllowed = () => true}) {
+        if (jobs.has(name)) {
+            throw new Error(`Job "${name}" is already registered`);
+        }
+        if (!interval || interval <= 0) {
+            throw new Error(`Job "${name}" needs a positive interval`);
+        }
+
+        const job = {name, task, interval, startDelay, lock, isAllowed};
+        jobs.set(name, job);
+        if (running) schedule(job, startDelay);
+    }
+
+    /**
+     * Unregister a job; a run in progress finishes, but no new run is scheduled
+     * @param {string} name - Job name
+     * @returns {boolean} - True if the job was registered
+     */
+    function removeJob(name) {
+        clearTimeout(timers.get(name));
+        timers.delete(name);
+        return jobs.delete(name);
+    }
+
+    /**
+     * Run a job once unless its lock is held
+     * @param {string} name - Job name
+     * @returns {Promise<boolean>} - True if the job ran, false if it was skipped
+     */
+    async function runJob(name) {
+        const job = jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job "${name}"`);
+        }
+
+        if (locks.has(job.lock)) {
+            console.log(`[scheduler] Skipping ${name}: previous run still in progress`);
+            return false;
+        }
+
+        if (!job.isAllowed()) {
+            console.log(`[scheduler] Skipping ${name}: outside active hours`);
+            return false;
+        }
+
+        const startedAt = Date.now();
+        const run = (async () => {
+            console.log(`[scheduler] Starting ${name}`);
+            try {
+                await job.task();
+                console.log(`[scheduler] Finished ${name} in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+            } catch (error) {
+                // A failing run must not stop the job from being scheduled again
+                console.error(`[scheduler] Job ${name} failed:`, error);
+            }
+        })();
+
+        locks.set(job.lock, run);
+        try {
+            await run;
+        } finally {
+            locks.delete(job.lock);
+        }
+        return true;
+    }
+
+    /**
+     * Schedule the next tick of a job
+     * @param {Object} job - Job definition
+     * @param {number} wait - Milliseconds until the tick
+     */
+    function schedule(job, wait) {
+        const timer = setTimeout(() => {
+            timers.delete(job.name);
+            // The job may have been removed, or replaced under the same name
+            if (!running || jobs.get(job.name) !== job) return;
+
+            // Schedule the next tick before running so the interval is measured from run start
+            schedule(job, job.interval);
+            runJob(job.name);
+        }, wait);
+        timers.set(job.name, timer);
+    }
+
+    /**
+     * Start all registered jobs
+     */
+    function start() {
+        if (running) return;
+        running = true;
+
+        for (const job of jobs.values()) {
+            schedule(job, job.startDelay);
+        }
+
+        console.log(`[scheduler] Started ${jobs.size} jobs`);
+    }
+
+    /**
+     * Stop scheduling new runs and wait for the ones in progress
+     * @param {number} [timeout=60000] - Maximum milliseconds to wait for running jobs
+     * @returns {Promise<void>}
+     */
+    async function stop(timeout = 60000) {
+        running = false;
+
+        for (const timer of timers.values()) {
+            clearTimeout(timer);
+        }
+        timers.clear();
+
+        if (locks.size === 0) return;
+
+        console.log(`[scheduler] Waiting for ${[...locks.keys()].join(', ')} to finish...`);
+        let timeoutId;
+        const timedOut = new Promise(resolve => {
+            timeoutId = setTimeout(() => resolve(true), timeout);
+        });
+        const result = await Promise.race([Promise.all(locks.values()).then(() => false), timedOut]);
+        clearTimeout(timeoutId);
+
+        if (result) {
+            console.warn('[scheduler] Timed out waiting for running jobs');
+        }
+    }
+
+    return {addJob, removeJob, runJob, start, stop};
+}
+
+module.exports = {
+    createScheduler
+};
@@ -1,37 +1,72 @@
-const puppeteer = require('puppeteer');
+const {parseHTML} = require('linkedom');
 const {delay} = require('../utils/helpers');
-const {config} = require('../config');
+const {withPage} = require('./browserPool');
+const {fetchDocument, ChallengeError} = require('./httpFetcher');
+const {extractNewsItems, extractArticle} = require('./extractors');
 
 /**
  * Extracts news information from a news website
  * @param {string} url - URL of the news website
  * @param {object} selectors - CSS selectors for different elements
  * @param {string} sourceName - Name of the news source
+ * @param {string} fetchMode - 'http' for a plain request, 'browser' for headless Chrome
  * @returns {Promise<Array>} - Array of news items
  */
-async function scrapeNews(url, selectors = {}, sourceName = '') {
-    // Launch browser with settings from config
-    const browser = await puppeteer.launch({
-        headless: config.browser.headless,
-        args: config.browser.args,
-        ignoreHTTPSErrors: config.browser.ignoreHTTPSErrors,
-    });
-
+async function scrapeNews(url, selectors = {}, sourceName = '', fetchMode = 'browser') {
     try {
-        console.log(`Starting to scrape: ${url}`);
-        const page = await browser.newPage();
+        let newsItems = null;
+
+        if (fetchMode === 'http') {
+            newsItems = await scrapeNewsWithHttp(url, selectors);
+            if (newsItems && newsItems.length === 0) {
+                // The listing may be rendered client-side after all, let the browser try
+                console.log(`No news items found over http for ${sourceName}, falling back to browser`);
+                newsItems = null;
+            }
+        }
 
-        // Set up a realistic user agent
-        await page.setUserAgent(config.browser.userAgent);
+        if (!newsItems) {
+            newsItems = await scrapeNewsWithBrowser(url, selectors);
+        }
 
-        // Enable JavaScript - important for CloudFlare sites
-        await page.setJavaScriptEnabled(true);
+        console.log(`Extracted ${newsItems.length} news items from ${sourceName}`);
 
-        // Set screen size to emulate a regular browser
-        await page.setViewport(config.browser.viewport);
+        return newsItems.map(news => ({...news, source: sourceName}));
+    } catch (error) {
+        console.error('Error during scraping:', error);
+        throw error;
+    }
+}
 
-        // Add extra headers to look more like a real browser
-        await page.setExtraHTTPHeaders(config.browser.headers);
+/**
+ * Extract news items from a listing page fetched without a browser
+ * @param {string} url - URL of the news website
+ * @param {object} selectors - CSS selectors for different elements
+ * @returns {Promise<Array|null>} - Array of news items, or null if the browser is needed
+ */
+async function scrapeNewsWithHttp(url, selectors) {
+    console.log(`Starting to scrape over http: ${url}`);
+    try {
+        const {document, url: finalUrl} = await fetchDocument(url);
+        return extractNewsItems(selectors, document, new URL(finalUrl).origin);
+    } catch (error) {
+        if (error instanceof ChallengeError) {
+            console.log('CloudFlare challenge detected over http, falling back to browser');
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Extract news items from a listing page rendered in the shared browser
+ * @param {string} url - URL of the news website
+ * @param {object} selectors - CSS selectors for different elements
+ * @returns {Promise<Array>} - Array of news items
+ */
+async function scrapeNewsWithBrowser(url, selectors) {
+    return withPage(async (page) => {
+        console.log(`Starting to scrape: ${url}`);
 
         // Navigate to the page with more flexibility
         try {
@@ -48,11 +83,11 @@ async function scrapeNews(url, selectors = {}, sourceName = '') {
             });
         }
 
-        // Wait a bit to ensure dynamic content loads
-        await delay(8000);
+        // Wait for the news list to render; this also covers a CloudFlare challenge resolving itself
+        await waitForSelector(page, selectors.newsContainer, 13000);
 
-        // Sometimes there's a CloudFlare challenge page - we need to wait for it to resolve
-        await delay(5000);
+        // Give lazy-loaded items a moment after the first ones appear
+        await delay(2000);
 
         // If there's a CAPTCHA or challenge, wait longer for manual intervention
         const pageContent = await page.content();
@@ -64,109 +99,122 @@ async function scrapeNews(url, selectors = {}, sourceName = '') {
         console.log('Page loaded, extracting news...');
 
         // Extract all news items
-        const newsItems = await page.evaluate((selectors) => {
-            const items = [];
-            const newsElements = document.querySelectorAll(selectors.newsContainer);
-
-            newsElements.forEach((element) => {
-                // Extract title
-                const titleElement = element.querySelector(selectors.title);
-                const title = titleElement ? titleElement.textContent.trim() : '';
-
-                // Extract link
-                let link = '';
-                const linkElement = selectors.link.length ? element.querySelector(selectors.link) : element;
-                const relativePath = linkElement ? linkElement.getAttribute('href') : '';
-                if (relativePath) link = relativePath.startsWith('http') ? relativePath : new URL(relativePath, window.location.origin).href;
-
-                if (title.length && link.length) items.push({
-                    title, link,
-                });
-            });
-
-            return items;
-        }, selectors);
-
-        console.log(`Extracted ${newsItems.length} news items from ${sourceName}`);
-
-        return newsItems.map(news => ({...news, source: sourceName}));
-    } catch (error) {
-        console.error('Error during scraping:', error);
-        throw error;
-    } finally {
-        await browser.close();
-    }
+        return page.evaluate(extractNewsItems, selectors);
+    });
 }
 
 /**
  * Scrape news content from a specific article page
  * @param {string} url - URL of the article
  * @param selectors
- * @returns {Promise<Object>} - Article content with title, image, and text
+ * @param {string} fetchMode - 'http' for a plain request, 'browser' for headless Chrome
+ * @returns {Promise<Object>} - Article content with image, video, and text
  */
-async function scrapeArticleContent(url, selectors) {
-    // Launch browser with settings from config
-    const browser = await puppeteer.launch({
-        headless: config.browser.headless,
-        args: config.browser.args,
-        ignoreHTTPSErrors: config.browser.ignoreHTTPSErrors,
-    });
-
+async function scrapeArticleContent(url, selectors, fetchMode = 'browser') {
     try {
-        console.log(`Scraping article content from: ${url}`);
-        const page = await browser.newPage();
-
-        // Set up browser settings
-        await page.setUserAgent(config.browser.userAgent);
-        await page.setJavaScriptEnabled(true);
-        await page.setViewport(config.browser.viewport);
-        await page.setExtraHTTPHeaders(config.browser.headers);
-
-        // Navigate to the page
-        await page.goto(url, {
-            waitUntil: 'domcontentloaded', timeout: 90000
-        });
-
-        // Wait for content to load
-        await delay(5000);
+        if (fetchMode === 'http') {
+            console.log(`Scraping article content over http from: ${url}`);
+            try {
+                const {document, url: finalUrl} = await fetchDocument(url);
+                const article = extractArticle(selectors, document, finalUrl);
+                if (article.content) return article;
+
+                console.log('No article text found over http, falling back to browser');
+            } catch (error) {
+                if (!(error instanceof ChallengeError)) throw error;
+                console.log('CloudFlare challenge detected over http, falling back to browser');
+            }
+        }
 
-        // Extract article content - common patterns in news sites
-        return await page.evaluate((selectors) => {
+        return await withPage(async (page) => {
+            console.log(`Scraping article content from: ${url}`);
 
-            //Remove content that is not needed
-            document.querySelectorAll(selectors.remove).forEach((element) => element.remove())
+            // Navigate to the page
+            await page.goto(url, {
+                waitUntil: 'domcontentloaded', timeout: 90000
+            });
 
-            // Try to find the main article content using common selectors
-            const articleSelectors = ['article', '.article', '.story', '.story-body', '.post-content', '[itemprop="articleBody"]', '.news-content', '.article-content'];
+            // Wait for content to load
+            await waitForSelector(page, selectors.text, 5000);
 
-            let content = '';
+            // Extract article content - common patterns in news sites
+            return page.evaluate(extractArticle, selectors);
+        });
+    } catch (error) {
+        console.error('Error scraping article content:', error);
+        throw error;
+    }
+}
 
+/**
+ * Download the HTML of a page the way its source is scraped, e.g. to save it as a test fixture
+ * @param {string} url - URL of the page
+ * @param {string} waitSelector - Selector to wait for in the browser
+ * @param {string} fetchMode - 'http' for a plain request, 'browser' for headless Chrome
+ * @returns {Promise<Object>} - {html, url} where url is the final URL after redirects
+ */
+async function fetchPageHtml(url, waitSelector, fetchMode = 'browser') {
+    if (fetchMode === 'http') {
+        try {
+            const {html, url: finalUrl} = await fetchDocument(url);
+            return {html, url: finalUrl};
+        } catch (error) {
+            if (!(error instanceof ChallengeError)) throw error;
+            console.log('CloudFlare challenge detected over http, falling back to browser');
+        }
+    }
 
-            // Find main image
-            const image_url = document.querySelector(selectors.image).getAttribute('content')
+    return withPage(async (page) => {
+        console.log(`Loading ${url}`);
+        await page.goto(url, {waitUntil: 'domcontentloaded', timeout: 90000});
+        await waitForSelector(page, waitSelector, 13000);
 
-            const element = document.querySelector(selectors.text);
-            if (element) {
-                // Remove scripts, ads, and other unnecessary elements
-                const clonedElement = element.cloneNode(true);
+        // Give lazy-loaded items a moment after the first ones appear
+        await delay(2000);
+        return {html: await page.content(), url: page.url()};
+    });
+}
 
-                // Get just the text content
-                content = clonedElement.textContent.trim()
-                    .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-                    .replace(/\n\s*\n/g, '\n\n'); // Replace multiple newlines with double newline
+/**
+ * Extract news items from saved listing HTML, as the http fetch mode does
+ * @param {string} html - Listing page HTML
+ * @param {string} url - URL the page was loaded from, used to resolve relative links
+ * @param {object} selectors - CSS selectors for different elements
+ * @returns {Array} - Array of {title, link}
+ */
+function extractNewsItemsFromHtml(html, url, selectors) {
+    const {document} = parseHTML(html);
+    return extractNewsItems(selectors, document, new URL(url).origin);
+}
 
-            }
+/**
+ * Extract the article from saved article HTML, as the http fetch mode does
+ * @param {string} html - Article page HTML
+ * @param {string} url - URL the page was loaded from
+ * @param {object} selectors - CSS selectors for different elements
+ * @returns {Object} - {image_url, video_url, content, canonical_url}
+ */
+function extractArticleFromHtml(html, url, selectors) {
+    const {document} = parseHTML(html);
+    return extractArticle(selectors, document, url);
+}
 
-            return {image_url, content};
-        }, selectors);
+/**
+ * Wait until a selector matches, giving up silently after the timeout
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - CSS selector to wait for
+ * @param {number} timeout - Maximum milliseconds to wait
+ * @returns {Promise<void>}
+ */
+async function waitForSelector(page, selector, timeout) {
+    try {
+        await page.waitForSelector(selector, {timeout});
     } catch (error) {
-        console.error('Error scraping article content:', error);
-        throw error;
-    } finally {
-        await browser.close();
+        // Extract whatever is there; an empty result is reported by the caller
+        console.log(`Selector "${selector}" did not appear within ${timeout / 1000}s`);
     }
 }
 
 module.exports = {
-    scrapeNews, scrapeArticleContent
-};
\ No newline at end of file
+    scrapeNews, scrapeArticleContent, fetchPageHtml, extractNewsItemsFromHtml, extractArticleFromHtml
+};
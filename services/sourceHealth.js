@@ -0,0 +1,234 @@
+const {
+    recordScrapeRun,
+    getScrapeRuns,
+    getScrapedSources,
+    getSourceAlert,
+    saveSourceAlert,
+    deleteSourceAlert
+} = require('../db/newsDatabase');
+const {sendAdminAlert} = require('./telegram');
+const {parseDbTimestamp} = require('../utils/helpers');
+const {config} = require('../config');
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers, at least one
+ * @returns {number} - Middle value, or the mean of the two middle values
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number|null} rate - Share between 0 and 1
+ * @returns {string} - e.g. '30%', '-' when unknown
+ */
+function formatRate(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Work out the health of a source from its recorded scrapes
+ * @param {string} source - Source name
+ * @returns {Promise<Object>} - {source, lastRunAt, lastCount, lastError, baseline, runs, errors, avgDurationMs,
+ *   articles, emptyRate, missingImageRate, problems}; each problem is {code, message}
+ */
+async function getScrapeHealth(source) {
+    const {
+        baselineRuns, minBaselineRuns, minBaseline, dropRatio, alertAfterRuns,
+        articleWindow, minArticles, maxEmptyContentRate, maxMissingImageRate
+    } = config.health;
+
+    const listings = await getScrapeRuns(source, 'listing', alertAfterRuns + baselineRuns);
+    const latest = listings.slice(0, alertAfterRuns);
+    const earlier = listings.slice(alertAfterRuns).filter(run => !run.error);
+    const baseline = earlier.length >= minBaselineRuns ? median(earlier.map(run => run.item_count)) : null;
+
+    const problems = [];
+    const checked = latest.length === alertAfterRuns;
+
+    if (checked && latest.every(run => run.error)) {
+        problems.push({code: 'error', message: `The last ${alertAfterRuns} runs failed: ${latest[0].error}`});
+    } else if (checked && baseline !== null && baseline >= minBaseline &&
+        latest.every(run => !run.error && run.item_count < baseline * dropRatio)) {
+        const counts = latest.map(run => run.item_count).reverse().join(', ');
+        problems.push({code: 'low_yield', message: `The last runs found ${counts} items, usually ${baseline}; the listing selectors may be broken`});
+    }
+
+    // An article page that could not be read counts as one without text
+    const articles = await getScrapeRuns(source, 'article', articleWindow);
+    const empty = articles.filter(run => run.error || run.empty_content).length;
+    const read = articles.filter(run => !run.error && !run.empty_content);
+    const missingImages = read.filter(run => run.missing_image).length;
+    const emptyRate = articles.length ? empty / articles.length : null;
+    const missingImageRate = read.length ? missingImages / read.length : null;
+
+    if (articles.length >= minArticles && emptyRate >= maxEmptyContentRate) {
+        problems.push({code: 'empty_content', message: `${empty} of the last ${articles.length} articles had no text; check selectors.text`});
+    }
+    if (read.length >= minArticles && missingImageRate >= maxMissingImageRate) {
+        problems.push({code: 'missing_image', message: `${missingImages} of the last ${read.length} articles had no image; check selectors.image`});
+    }
+
+    const timed = listings.filter(run => run.duration_ms !== null);
+    return {
+        source,
+        lastRunAt: listings.length ? listings[0].created_at : null,
+        lastCount: listings.length ? listings[0].item_count : null,
+        lastError: listings.length ? listings[0].error : null,
+        baseline,
+        runs: listings.length,
+        errors: listings.filter(run => run.error).length,
+        avgDurationMs: timed.length ? timed.reduce((total, run) => total + run.duration_ms, 0) / timed.length : null,
+        articles: articles.length,
+        emptyRate,
+        missingImageRate,
+        problems
+    };
+}
+
+/**
+ * Log an alert and send it to the admin chat when one is configured
+ * A failed send is only logged, alerts must not stop scraping.
+ * @param {string} message - Alert text
+ * @returns {Promise<void>}
+ */
+async function notifyAdmin(message) {
+    console.log(message);
+    if (!process.env.ADMIN_CHAT_ID) return;
+
+    try {
+        await sendAdminAlert(message);
+    } catch (error) {
+        console.error('Could not send source health alert:', error.message);
+    }
+}
+
+/**
+ * Check a source after a scrape and alert the admin chat when it breaks or recovers
+ * An unchanged set of problems is repeated after config.health.alertCooldown.
+ * @param {string} source - Source name
+ * @returns {Promise<Object>} - Result of getScrapeHealth
+ */
+async function checkSourceHealth(source) {
+    const health = await getScrapeHealth(source);
+    const alert = await getSourceAlert(source);
+    const codes = health.problems.map(problem => problem.code).join(',');
+
+    if (!codes) {
+        if (alert) {
+            await notifyAdmin(`✅ Source ${source} is healthy again`);
+            await deleteSourceAlert(source);
+        }
+        return health;
+    }
+
+    const repeated = alert && alert.problems === codes &&
+        Date.now() - parseDbTimestamp(alert.alerted_at).getTime() < config.health.alertCooldown;
+    if (!repeated) {
+        const message = [
+            `⚠️ Source ${source} needs attention:`,
+            ...health.problems.map(problem => `- ${problem.message}`),
+            'See node index.js sources:status'
+        ].join('\n');
+        await notifyAdmin(message);
+        await saveSourceAlert(source, codes, message);
+    }
+    return health;
+}
+
+/**
+ * Record one listing run of a source and check its health
+ * Errors are logged only; losing a health record must not stop scraping.
+ * @param {string} source - Source name
+ * @param {Object} run - Run details
+ * @param {number} run.itemCount - Items found on the listing or feed
+ * @param {number} run.startedAt - Date.now() when the run started
+ * @param {Error} [run.error] - Error that stopped the run
+ * @returns {Promise<void>}
+ */
+async function recordListingRun(source, {itemCount, startedAt, error = null}) {
+    try {
+        await recordScrapeRun(source, 'listing', {
+            itemCount,
+            durationMs: Date.now() - startedAt,
+            error: error ? error.message : null
+        });
+        await checkSourceHealth(source);
+    } catch (dbError) {
+        console.error(`Error recording scrape health of ${source}:`, dbError);
+    }
+}
+
+/**
+ * Record one article scrape of a source and check its health
+ * Errors are logged only; losing a health record must not stop translating.
+ * @param {string} source - Source name
+ * @param {Object} scrape - Scrape details
+ * @param {Object} [scrape.article] - Result of scrapeArticleContent
+ * @param {number} scrape.startedAt - Date.now() when the scrape started
+ * @param {Error} [scrape.error] - Error that stopped the scrape
+ * @returns {Promise<void>}
+ */
+async function recordArticleScrape(source, {article = null, startedAt, error = null}) {
+    try {
+        await recordScrapeRun(source, 'article', {
+            itemCount: article ? 1 : 0,
+            emptyContent: article ? !article.content : null,
+            missingImage: article ? !article.image_url : null,
+            durationMs: Date.now() - startedAt,
+            error: error ? error.message : null
+        });
+        await checkSourceHealth(source);
+    } catch (dbError) {
+        console.error(`Error recording article health of ${source}:`, dbError);
+    }
+}
+
+/**
+ * Print the health table of every configured or previously scraped source
+ * @returns {Promise<Array>} - Result of getScrapeHealth for each source
+ */
+async function printSourcesStatus() {
+    try {
+        const names = [...new Set([...Object.keys(config.sources), ...await getScrapedSources()])].sort();
+        const rows = [];
+        for (const name of names) {
+            rows.push(await getScrapeHealth(name));
+        }
+
+        console.log(`  ${'Source'.padEnd(20)} ${'Last run'.padEnd(20)} ${'Items'.padStart(5)} ${'Usual'.padStart(5)} ` +
+            `${'Errors'.padStart(7)} ${'No text'.padStart(8)} ${'No image'.padStart(8)} ${'Avg time'.padStart(8)}  Status`);
+        for (const row of rows) {
+            const status = row.problems.length ? row.problems.map(problem => problem.code).join(', ') :
+                (row.runs ? 'ok' : 'no runs');
+            console.log(`  ${row.source.padEnd(20)} ${(row.lastRunAt || '-').padEnd(20)} ` +
+                `${(row.lastError ? 'error' : String(row.lastCount ?? '-')).padStart(5)} ` +
+                `${String(row.baseline ?? '-').padStart(5)} ${`${row.errors}/${row.runs}`.padStart(7)} ` +
+                `${formatRate(row.emptyRate).padStart(8)} ${formatRate(row.missingImageRate).padStart(8)} ` +
+                `${(row.avgDurationMs === null ? '-' : `${(row.avgDurationMs / 1000).toFixed(1)}s`).padStart(8)}  ${status}` +
+                `${config.sources[row.source] ? '' : ' (not configured)'}`);
+        }
+
+        for (const row of rows.filter(row => row.problems.length)) {
+            console.log(`\n${row.source}:`);
+            row.problems.forEach(problem => console.log(`  - ${problem.message}`));
+            if (row.lastError) console.log(`  Last error: ${row.lastError}`);
+        }
+        return rows;
+    } catch (error) {
+        console.error('Error printing source status:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getScrapeHealth,
+    checkSourceHealth,
+    recordListingRun,
+    recordArticleScrape,
+    printSourcesStatus
+};
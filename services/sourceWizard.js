@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const yaml = require('js-yaml');
+const {parseHTML} = require('linkedom');
+const {fetchPageHtml, extractNewsItemsFromHtml, extractArticleFromHtml} = require('./scraper');
+const {extractNewsItems} = require('./extractors');
+const {findSettingsFiles} = require('../utils/settings');
+const {config} = require('../config');
+
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Links shorter than this are navigation, tags or "read more" rather than headlines
+const MIN_HEADLINE_LENGTH = 20;
+
+// Elements inside article text that are usually not part of the story
+const NOISE_SELECTORS = [
+    'figure', 'aside', 'iframe', 'form', 'script', 'style',
+    '[class*="related"]', '[class*="share"]', '[class*="newsletter"]', '[class*="promo"]',
+    '[data-testid*="ad"]', '[class*="ad-"]'
+];
+
+// Semantic tags that make a useful container selector even without classes
+const BARE_CONTAINER_TAGS = ['article', 'li'];
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Check whether a class name looks stable enough to select on
+ * Generated class names (css-1x2y3z, hashes) and state classes change between deploys or page loads.
+ * @param {string} name - Class name
+ * @returns {boolean} - true if it can be used in a selector
+ */
+function isStableClass(name) {
+    return /^[a-zA-Z_][\w-]*$/.test(name) &&
+        name.length <= 40 &&
+        !/\d{3,}/.test(name) &&
+        !/^(?:css|sc|jsx|styled)-/.test(name) &&
+        !/^(?:active|selected|current|first|last|odd|even|hidden|visible|is-|has-)/.test(name);
+}
+
+/**
+ * Build a selector from an element's tag and stable classes
+ * @param {Element} element - DOM element
+ * @param {number} maxClasses - Most classes to include
+ * @returns {string} - e.g. 'li.news', or the tag name alone
+ */
+function describeElement(element, maxClasses = 3) {
+    const classes = [...element.classList].filter(isStableClass).slice(0, maxClasses);
+    return element.localName + classes.map(name => `.${name}`).join('');
+}
+
+/**
+ * Normalise the text of an element to one line
+ * @param {Element} element - DOM element
+ * @returns {string} - Trimmed text with collapsed whitespace
+ */
+function textOf(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether an anchor looks like an article headline link
+ * @param {Element} anchor - <a> element
+ * @returns {boolean} - true for a link with a headline-length text
+ */
+function isHeadlineLink(anchor) {
+    const href = anchor.getAttribute('href') || '';
+    return Boolean(href) && !/^(?:#|javascript:|mailto:)/i.test(href) && textOf(anchor).length >= MIN_HEADLINE_LENGTH;
+}
+
+/**
+ * Find the title and link selectors of one container element
+ * @param {Element} container - Candidate container
+ * @returns {Object|null} - {title, link} relative to the container, or null if it holds no headline link
+ */
+function describeHeadline(container) {
+    const anchors = container.localName === 'a' ? [container] : [...container.querySelectorAll('a[href]')];
+    const anchor = anchors.filter(isHeadlineLink).sort((a, b) => textOf(b).length - textOf(a).length)[0];
+    if (!anchor) return null;
+
+    // The container is the link itself: the title is the element inside it holding the text
+    if (anchor === container) {
+        const heading = container.querySelector(HEADINGS);
+        const inner = heading || [...container.querySelectorAll('*')]
+            .filter(element => textOf(element) === textOf(container))
+            .pop();
+        return inner ? {title: describeElement(inner, 1), link: ''} : null;
+    }
+
+    const heading = anchor.closest(HEADINGS);
+    if (heading && container.contains(heading) && heading !== container) {
+        return {title: heading.localName, link: `${heading.localName} a`};
+    }
+
+    const inner = anchor.querySelector(HEADINGS);
+    if (inner) {
+        return {title: inner.localName, link: describeElement(anchor, 1)};
+    }
+
+    const selector = describeElement(anchor, 1);
+    return {title: selector, link: selector};
+}
+
+/**
+ * Pick the most common value of a list
+ * @param {Array<string>} values - Values
+ * @returns {string} - The value that occurs most often
+ */
+function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Propose listing selectors by looking for repeated elements that each hold one headline link
+ * Every ancestor of a headline link, up to four levels, is tried as a container by its tag and classes;
+ * candidates are ranked by how many distinct headlines they extract and how few of their elements are empty.
+ * @param {string} html - Listing page HTML
+ * @param {string} url - URL of the listing, used to resolve links
+ * @returns {Array} - Up to MAX_CANDIDATES of {selectors: {newsContainer, title, link}, items, matched, score}
+ */
+function suggestListingSelectors(html, url) {
+    const {document} = parseHTML(html);
+    const origin = new URL(url).origin;
+
+    const containerSelectors = new Set();
+    for (const anchor of document.querySelectorAll('a[href]')) {
+        if (!isHeadlineLink(anchor)) continue;
+
+        let element = anchor;
+        for (let depth = 0; depth < 5 && element && element.localName !== 'body'; depth++) {
+            [...element.classList].filter(isStableClass).forEach(name => containerSelectors.add(`${element.localName}.${name}`));
+            if (BARE_CONTAINER_TAGS.includes(element.localName)) containerSelectors.add(element.localName);
+            element = element.parentElement;
+        }
+    }
+
+    const candidates = [];
+    for (const newsContainer of containerSelectors) {
+        const elements = [...document.querySelectorAll(newsContainer)];
+        const headlines = elements.map(describeHeadline).filter(Boolean);
+        if (headlines.length < 3) continue;
+
+        const selectors = {
+            newsContainer,
+            title: mostCommon(headlines.map(headline => headline.title)),
+            link: mostCommon(headlines.map(headline => headline.link))
+        };
+
+        let items;
+        try {
+            items = extractNewsItems(selectors, document, origin);
+        } catch (error) {
+            continue;
+        }
+
+        const seen = new Set();
+        items = items.filter(item => item.title.length >= MIN_HEADLINE_LENGTH && !seen.has(item.link) && seen.add(item.link));
+        if (items.length < 3) continue;
+
+        candidates.push({selectors, items, matched: elements.length, score: items.length * items.length / elements.length});
+    }
+
+    // Several selectors often find the same items; keep the best of each set
+    const bySet = new Map();
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+        const key = candidate.items.map(item => item.link).join('\n');
+        if (!bySet.has(key)) bySet.set(key, candidate);
+    }
+    return [...bySet.values()].slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Build a selector that finds an element as the first match in its document
+ * Uses the id when there is one, otherwise the tag and classes, prefixed with ancestors until it is exact.
+ * @param {Element} element - DOM element
+ * @param {Document} document - Document of the element
+ * @returns {string} - CSS selector
+ */
+function uniqueSelector(element, document) {
+    if (element.id && /^[a-zA-Z][\w-]*$/.test(element.id)) {
+        return `${element.localName}#${element.id}`;
+    }
+
+    let selector = describeElement(element);
+    let ancestor = element.parentElement;
+    while (document.querySelector(selector) !== element && ancestor && ancestor.localName !== 'html') {
+        const prefix = ancestor.id && /^[a-zA-Z][\w-]*$/.test(ancestor.id) ?
+            `${ancestor.localName}#${ancestor.id}` : describeElement(ancestor);
+        selector = `${prefix} > ${selector}`;
+        ancestor = ancestor.parentElement;
+    }
+    return selector;
+}
+
+/**
+ * Propose article selectors: the element whose paragraphs hold the most text, the noise inside it,
+ * the og:image meta tag and the first video
+ * @param {string} html - Article page HTML
+ * @returns {Object} - {text, remove, image, video}; text is '' when no paragraphs were found
+ */
+function suggestArticleSelectors(html) {
+    const {document} = parseHTML(html);
+
+    let best = null;
+    for (const element of document.querySelectorAll('body *')) {
+        const length = [...element.children]
+            .filter(child => child.localName === 'p')
+            .reduce((total, child) => total + textOf(child).length, 0);
+        if (length && (!best || length > best.length)) best = {element, length};
+    }
+
+    const text = best ? uniqueSelector(best.element, document) : '';
+    const remove = [];
+    if (best) {
+        const removed = new Set();
+        for (const noise of NOISE_SELECTORS) {
+            const matches = [...best.element.querySelectorAll(noise)];
+            if (!matches.length) continue;
+            remove.push(`${text} ${noise}`);
+            matches.forEach(match => removed.add(match));
+        }
+
+        // Child blocks that are mostly links are usually related-story lists
+        for (const child of best.element.children) {
+            const childText = textOf(child);
+            const linkText = [...child.querySelectorAll('a')].reduce((total, anchor) => total + textOf(anchor).length, 0);
+            const selector = `${text} > ${describeElement(child)}`;
+            if (childText && linkText / childText.length > 0.5 && child.classList.length &&
+                !removed.has(child) && !remove.includes(selector)) {
+                remove.push(selector);
+            }
+        }
+    }
+
+    const video = document.querySelector('video');
+    return {
+        text,
+        remove: remove.join(','),
+        image: 'head > meta[property="og:image"]',
+        video: video ? describeElement(video) : ''
+    };
+}
+
+/**
+ * Check a source entry before it is saved
+ * @param {string} name - Source name, also used as its fixture directory
+ * @param {Object} source - Source entry
+ * @returns {Array<string>} - Problems; empty when the entry is valid
+ */
+function validateSource(name, source) {
+    const problems = [];
+    if (!/^[A-Za-z0-9_-]+$/.test(name || '')) problems.push('name may only contain letters, digits, _ and -');
+
+    try {
+        if (!/^https?:$/.test(new URL(source.url).protocol)) problems.push('url must be http or https');
+    } catch (error) {
+        problems.push('url is not a valid URL');
+    }
+
+    if (source.fetchMode && !['http', 'browser'].includes(source.fetchMode)) {
+        problems.push('fetchMode must be "http" or "browser"');
+    }
+
+    const {document} = parseHTML('<html><body></body></html>');
+    const selectors = source.selectors || {};
+    for (const key of ['newsContainer', 'title', 'text']) {
+        if (!selectors[key]) problems.push(`selectors.${key} is required`);
+    }
+    for (const key of ['newsContainer', 'title', 'link', 'text', 'remove', 'image', 'video']) {
+        if (selectors[key] === undefined || selectors[key] === '') continue;
+        if (typeof selectors[key] !== 'string') {
+            problems.push(`selectors.${key} must be a string`);
+            continue;
+        }
+        try {
+            document.querySelectorAll(selectors[key]);
+        } catch (error) {
+            problems.push(`selectors.${key} is not a valid selector: ${selectors[key]}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Get the sources settings file, settings/sources.yaml unless the sources are kept as JSON
+ * @returns {string} - File path
+ */
+function getSourcesFile() {
+    const [file] = findSettingsFiles(config.settings.dir, 'sources');
+    return file || path.join(config.settings.dir, 'sources.yaml');
+}
+
+/**
+ * Add a source entry to the sources settings file, keeping the entries and comments already there
+ * @param {string} name - Source name
+ * @param {Object} source - Source entry
+ * @returns {string} - Path of the written file
+ */
+function saveSource(name, source) {
+    const file = getSourcesFile();
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+
+    if (file.endsWith('.json')) {
+        const sources = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        sources[name] = source;
+        fs.writeFileSync(file, `${JSON.stringify(sources, null, 2)}\n`);
+    } else {
+        fs.appendFileSync(file, `\n${yaml.dump({[name]: source}, {lineWidth: -1})}`);
+    }
+    return file;
+}
+
+/**
+ * Load a page from a saved file or from the web
+ * @param {string} url - URL of the page
+ * @param {string|null} file - Saved HTML file to use instead of loading the URL
+ * @param {string} waitSelector - Selector to wait for in the browser
+ * @param {string} fetchMode - 'http' or 'browser'
+ * @returns {Promise<Object>} - {html, url}
+ */
+async function loadPage(url, file, waitSelector, fetchMode) {
+    if (file) return {html: fs.readFileSync(file, 'utf8'), url};
+    return fetchPageHtml(url, waitSelector, fetchMode);
+}
+
+/**
+ * Print the first items a candidate extracts
+ * @param {Array} items - Extracted {title, link}
+ * @param {number} count - Items to print
+ */
+function printItems(items, count) {
+    items.slice(0, count).forEach(item => console.log(`     ${item.title}\n       ${item.link}`));
+}
+
+/**
+ * Walk through adding a news source: propose listing and article selectors, preview what they
+ * extract and save the entry to the sources settings file
+ * @param {string} url - Listing page URL
+ * @param {Object} options - Wizard options
+ * @param {string} [options.html] - Saved listing HTML file to use instead of loading the URL
+ * @param {string} [options.articleHtml] - Saved article HTML file to use instead of following a link
+ * @param {string} [options.name] - Source name, asked for when missing
+ * @param {boolean} [options.yes] - Accept every suggestion without asking
+ * @returns {Promise<Object|null>} - The saved source entry, or null if nothing was saved
+ */
+async function runSourceWizard(url, {html = null, articleHtml = null, name = null, yes = false} = {}) {
+    // Answers are read as a line stream so piped input is not lost between questions
+    const prompt = yes ? null : readline.createInterface({input: process.stdin, output: process.stdout});
+    const answers = prompt ? prompt[Symbol.asyncIterator]() : null;
+    const ask = async (question, fallback) => {
+        if (!prompt) return fallback;
+        process.stdout.write(`${question} [${fallback}]: `);
+        const {value, done} = await answers.next();
+        return (!done && value.trim()) || fallback;
+    };
+
+    try {
+        // A static request is cheaper; the browser is only needed when it finds nothing
+        let fetchMode = 'http';
+        let listing = await loadPage(url, html, 'body', 'http');
+        let candidates = suggestListingSelectors(listing.html, listing.url);
+        if (!candidates.length && !html) {
+            console.log('No repeated headlines found over http, loading the page in the browser...');
+            fetchMode = 'browser';
+            listing = await loadPage(url, null, 'body', 'browser');
+            candidates = suggestListingSelectors(listing.html, listing.url);
+        }
+        if (!candidates.length) {
+            console.log('No repeated headline links found on the page; write the selectors by hand');
+            return null;
+        }
+
+        console.log('\nCandidate news containers:');
+        candidates.forEach((candidate, index) => {
+            const {newsContainer, title, link} = candidate.selectors;
+            console.log(`  ${index + 1}) ${newsContainer}  (title: ${title}, link: ${link || 'the container'}) ` +
+                `${candidate.items.length} items from ${candidate.matched} elements`);
+            printItems(candidate.items, 3);
+        });
+
+        const choice = parseInt(await ask(`Container to use (1-${candidates.length})`, '1'), 10);
+        const chosen = candidates[Math.min(Math.max(choice || 1, 1), candidates.length) - 1];
+        const listingSelectors = {
+            newsContainer: await ask('newsContainer', chosen.selectors.newsContainer),
+            title: await ask('title', chosen.selectors.title),
+            link: await ask('link (- for the container itself)', chosen.selectors.link || '-')
+        };
+        if (listingSelectors.link === '-') listingSelectors.link = '';
+
+        const items = extractNewsItemsFromHtml(listing.html, listing.url, listingSelectors);
+        console.log(`\nThe listing selectors find ${items.length} items:`);
+        printItems(items, 10);
+        if (!items.length) {
+            console.log('Nothing to follow, not saving the source');
+            return null;
+        }
+
+        const articleUrl = articleHtml ? items[0].link : await ask('\nArticle to inspect', items[0].link);
+        const article = await loadPage(articleUrl, articleHtml, 'body', fetchMode);
+        const suggested = suggestArticleSelectors(article.html);
+
+        const selectors = {
+            ...listingSelectors,
+            text: await ask('text', suggested.text),
+            remove: await ask('remove (- for none)', suggested.remove || '-'),
+            image: suggested.image,
+            video: await ask('video (- for none)', suggested.video || '-')
+        };
+        ['remove', 'video'].forEach(key => {
+            if (selectors[key] === '-') selectors[key] = '';
+        });
+
+        const extracted = extractArticleFromHtml(article.html, article.url, selectors);
+        console.log(`\nThe article selectors find ${extracted.content.length} characters of text:`);
+        console.log(`  ${extracted.content.substring(0, 300)}${extracted.content.length > 300 ? '...' : ''}`);
+        console.log(`  Image: ${extracted.image_url || 'none'}`);
+        console.log(`  Video: ${extracted.video_url || 'none'}`);
+
+        const defaultName = new URL(url).hostname.replace(/^www\./, '').split('.')[0];
+        const sourceName = name || await ask('\nSource name', defaultName.charAt(0).toUpperCase() + defaultName.slice(1));
+        const source = {...(fetchMode === 'http' && !html ? {fetchMode} : {}), url, selectors};
+
+        const problems = validateSource(sourceName, source);
+        if (config.sources[sourceName]) problems.push(`a source named ${sourceName} already exists`);
+        if (!extracted.content) problems.push('the article selectors find no text');
+        if (problems.length) {
+            console.log(`Not saving ${sourceName}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+            return null;
+        }
+
+        if ((await ask(`Save ${sourceName} to ${path.relative(path.join(__dirname, '..'), getSourcesFile())}? (y/n)`, 'y')).toLowerCase() !== 'y') {
+            return null;
+        }
+        saveSource(sourceName, source);
+        console.log(`Saved ${sourceName}. Save its pages for the selector tests with: node index.js fixtures capture ${sourceName}`);
+        return source;
+    } catch (error) {
+        console.error('Error adding source:', error);
+        throw error;
+    } finally {
+        if (prompt) prompt.close();
+    }
+}
+
+module.exports = {
+    suggestListingSelectors,
+    suggestArticleSelectors,
+    validateSource,
+    runSourceWizard
+};
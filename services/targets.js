@@ -0,0 +1,149 @@
+const {renderTemplate} = require('../utils/helpers');
+const {config} = require('../config');
+
+/**
+ * Read a target setting given either directly or through an environment variable
+ * e.g. `channelId: '-100123'` or `channelIdEnv: 'TARGET_CHANNEL_ID'`
+ * @param {Object} target - Target entry from config.targets
+ * @param {string} key - Setting name
+ * @returns {string|undefined} - Setting value
+ */
+function resolveSetting(target, key) {
+    if (target[key] !== undefined) return target[key];
+    const envName = target[`${key}Env`];
+    return envName ? process.env[envName] : undefined;
+}
+
+/**
+ * Get the English name of a language, which reads better in prompts than its code
+ * @param {string} language - Language code, e.g. 'fa'
+ * @returns {string} - e.g. 'Persian', or the code when it is unknown
+ */
+function getLanguageName(language) {
+    try {
+        return new Intl.DisplayNames(['en'], {type: 'language'}).of(language);
+    } catch (error) {
+        return language;
+    }
+}
+
+/**
+ * Resolve the translation prompt of a target
+ * `promptTemplate` names a template in settings/prompts with {{language}} filled in with the name of the
+ * target's language; targets without one, or whose template is missing, use `prompt` or `promptEnv`.
+ * @param {Object} target - Target entry from config.targets
+ * @returns {string|undefined} - Prompt text
+ */
+function resolvePrompt(target) {
+    const template = target.promptTemplate && config.prompts[target.promptTemplate];
+    if (template) return renderTemplate(template, {language: getLanguageName(target.language)});
+    return resolveSetting(target, 'prompt');
+}
+
+/**
+ * Resolve the watermark of a target
+ * `watermark: false` turns it off, an object overrides parts of config.media.watermark.
+ * @param {Object} target - Target entry from config.targets
+ * @returns {Object|boolean} - Watermark settings or false
+ */
+function resolveWatermark(target) {
+    if (target.watermark === undefined) return config.media.watermark;
+    if (!target.watermark) return false;
+    return {...config.media.watermark, enabled: true, ...target.watermark};
+}
+
+/**
+ * Get the post labels of a language
+ * @param {string} [language] - Language code
+ * @returns {Object} - Labels from config.labels, English for languages without their own
+ */
+function getLabels(language = 'en') {
+    return {...config.labels.en, ...config.labels[language]};
+}
+
+/**
+ * Get all publishing targets with their settings resolved
+ * @returns {Array} - Targets with name, channelId, language, prompt, signature, labels, watermark and filter
+ */
+function getTargets() {
+    return Object.entries(config.targets).map(([name, target]) => ({
+        name,
+        channelId: resolveSetting(target, 'channelId'),
+        language: target.language,
+        prompt: resolvePrompt(target),
+        signature: resolveSetting(target, 'signature') || '',
+        labels: {...getLabels(target.language), ...target.labels},
+        watermark: resolveWatermark(target),
+        filter: target.filter || {}
+    }));
+}
+
+/**
+ * Check whether a target wants a news item
+ * @param {Object} target - Resolved target
+ * @param {Object} news - The news item
+ * @returns {boolean} - true if the item passes the target's source and topic filter
+ */
+function targetAccepts(target, news) {
+    const {sources, keywords} = target.filter;
+
+    if (sources && sources.length && !sources.includes(news.source)) {
+        return false;
+    }
+
+    if (keywords && keywords.length) {
+        const text = `${news.title} ${news.content || ''}`.toLowerCase();
+        return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    }
+
+    return true;
+}
+
+/**
+ * Get the targets a news item should be published to
+ * @param {Object} news - The news item
+ * @returns {Array} - Resolved targets
+ */
+function getTargetsForNews(news) {
+    return getTargets().filter(target => targetAccepts(target, news));
+}
+
+/**
+ * Get the languages a news item must be translated into
+ * When several targets share a language, the prompt of the first one is used.
+ * @param {Object} news - The news item
+ * @returns {Array} - {language, prompt} in target order
+ */
+function getLanguagesForNews(news) {
+    const languages = new Map();
+
+    for (const target of getTargetsForNews(news)) {
+        if (!languages.has(target.language)) {
+            languages.set(target.language, {language: target.language, prompt: target.prompt});
+        }
+    }
+
+    return [...languages.values()];
+}
+
+/**
+ * Combine a news item with one of its translations into the shape the Telegram formatter expects
+ * @param {Object} news - The news item
+ * @param {Object} translation - Row from news_translations
+ * @returns {Object} - News item with translated_title and translated_content
+ */
+function withTranslation(news, translation) {
+    return {
+        ...news,
+        translated_title: translation.title,
+        translated_content: translation.content
+    };
+}
+
+module.exports = {
+    getLabels,
+    getTargets,
+    getTargetsForNews,
+    getLanguagesForNews,
+    withTranslation
+};
@@ -1,96 +1,604 @@
 const TelegramBot = require('node-telegram-bot-api');
-const {formatDate} = require('../utils/helpers');
+const axios = require('axios');
+const {withRetry, isRetryable} = require('../utils/retry');
+const {getRateLimiter} = require('../utils/rateLimiter');
+const {getTelegramPhoto, rememberTelegramPhoto, forgetTelegramPhoto, MediaError} = require('./media');
+const {escapeHtml, sanitizeHtml, visibleLength, splitText} = require('../utils/telegramHtml');
+const {getLabels} = require('./targets');
+const {config} = require('../config');
+
+// Telegram only downloads files up to 20 MB when they are sent by URL
+const MAX_URL_VIDEO_SIZE = 20 * 1024 * 1024;
+
+// Telegram's length limits for captions and text messages
+const CAPTION_LIMIT = 1024;
+const MESSAGE_LIMIT = 4096;
+
+// Room kept in captions for the link added when a photo or video cannot be sent
+const MEDIA_LINK_RESERVE = 40;
+
+// Shorter first parts are not worth it, the whole text goes to the follow-up messages instead
+const MIN_FIRST_PART = 100;
+
+// Other sources of the same story named under a post
+const MAX_OTHER_SOURCES = 5;
 
 // Initialize the bot with token
 
+/**
+ * Call the Telegram API with the stage's rate limit and the retry policy
+ * @param {string} label - name used in log messages
+ * @param {Function} fn - async function making the API call
+ * @param {string} stage - stage whose rate limit applies
+ * @returns {Promise<Object>} - Telegram API response
+ */
+function callTelegram(label, fn, stage = 'publish') {
+    return withRetry(fn, {label, limiter: getRateLimiter(stage, 'telegram')});
+}
+
 /**
  * Send message to Telegram channel
  * @param {string} message - message to send
+ * @param {string} chatId - channel to send to, defaults to TARGET_CHANNEL_ID
+ * @param {Object} options - extra sendMessage options, e.g. reply_to_message_id
  * @returns {Promise<Object>} - Telegram API response
  */
-async function sendTelegramMessage(message) {
-    const {TELEGRAM_BOT_TOKEN, TARGET_CHANNEL_ID} = process.env;
+async function sendTelegramMessage(message, chatId = process.env.TARGET_CHANNEL_ID, options = {}) {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
 
     const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
 
     try {
-        return await bot.sendMessage(
-            TARGET_CHANNEL_ID,
+        return await callTelegram('Telegram sendMessage', () => bot.sendMessage(
+            chatId,
             message,
             {
                 parse_mode: 'HTML',
-                disable_web_page_preview: false
+                disable_web_page_preview: false,
+                ...options
             }
-        );
+        ));
     } catch (error) {
         console.error('Error sending Telegram message:', error.message);
         throw error;
     }
 }
 
+/**
+ * Send an image through the media pipeline, reusing the file_id of an earlier upload
+ * @param {Object} bot - Telegram bot
+ * @param {string} chatId - chat to send to
+ * @param {string} imageUrl - URL of the image
+ * @param {Object|boolean} watermark - watermark settings, false for none
+ * @param {Object} options - sendPhoto options such as caption
+ * @param {string} label - name used in log messages
+ * @param {string} stage - stage whose rate limit applies
+ * @returns {Promise<Object>} - Telegram API response
+ * @throws {MediaError} - If the image has to be uploaded and cannot be used
+ */
+async function sendPreparedPhoto(bot, chatId, imageUrl, watermark, options, label, stage = 'publish') {
+    let photo = await getTelegramPhoto(imageUrl, watermark);
+
+    if (!photo.image) {
+        try {
+            return await callTelegram(label, () => bot.sendPhoto(chatId, photo.media, options), stage);
+        } catch (error) {
+            if (isRetryable(error)) throw error;
+
+            console.log('Telegram rejected the stored file_id, uploading the image again...');
+            await forgetTelegramPhoto(photo);
+            photo = await getTelegramPhoto(imageUrl, watermark);
+        }
+    }
+
+    const message = await callTelegram(label, () => bot.sendPhoto(chatId, photo.media, options, photo.fileOptions), stage);
+    await rememberTelegramPhoto(photo, message);
+    return message;
+}
+
 /**
  * Send photo with caption to Telegram channel
  * @param {string} imageUrl - URL of the image to send
  * @param {string} caption - caption text
+ * @param {string} chatId - channel to send to, defaults to TARGET_CHANNEL_ID
+ * @param {Object|boolean} watermark - watermark settings, defaults to config.media.watermark
+ * @param {Object} labels - post labels of the target, the image link label is used when the photo cannot be sent
  * @returns {Promise<Object>} - Telegram API response
  */
-async function sendTelegramPhoto(imageUrl, caption) {
-    const {TELEGRAM_BOT_TOKEN, TARGET_CHANNEL_ID} = process.env;
+async function sendTelegramPhoto(imageUrl, caption, chatId = process.env.TARGET_CHANNEL_ID, watermark = config.media.watermark, labels = getLabels()) {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
     const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
 
     try {
-        return await bot.sendPhoto(
-            TARGET_CHANNEL_ID,
-            imageUrl,
+        return await sendPreparedPhoto(bot, chatId, imageUrl, watermark, {
+            caption: caption,
+            parse_mode: 'HTML'
+        }, 'Telegram sendPhoto');
+    } catch (error) {
+        console.error('Error sending Telegram photo:', error.message);
+
+        // Rate limits and outages would hit the fallback message too
+        if (isRetryable(error)) throw error;
+
+        // If the image cannot be used or sent, try sending as a message
+        console.log('Attempting to send as message instead...');
+        return sendTelegramMessage(`${caption}\n\n<a href="${escapeHtml(imageUrl)}">${escapeHtml(labels.image)}</a>`, chatId);
+    }
+}
+
+/**
+ * Check with a HEAD request whether Telegram can fetch a video by URL
+ * Servers that do not answer HEAD are given the benefit of the doubt.
+ * @param {string} videoUrl - URL of the video
+ * @returns {Promise<boolean>} - false if the file is too large or not a video file
+ */
+async function isSendableVideo(videoUrl) {
+    try {
+        const response = await axios.head(videoUrl, {timeout: config.http.timeout, maxRedirects: 5});
+        const size = parseInt(response.headers['content-length'], 10);
+        const type = response.headers['content-type'] || '';
+
+        if (size > MAX_URL_VIDEO_SIZE) {
+            console.log(`Video is too large to send by URL (${size} bytes): ${videoUrl}`);
+            return false;
+        }
+        if (type && !type.startsWith('video/') && !type.startsWith('application/octet-stream')) {
+            console.log(`Video URL does not serve a video file (${type}): ${videoUrl}`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.log(`Could not check video URL, trying anyway: ${error.message}`);
+        return true;
+    }
+}
+
+/**
+ * Send video with caption to Telegram channel, together with the image as a media group if there is one
+ * Videos Telegram cannot fetch are replaced by a link under the photo or message.
+ * @param {string} videoUrl - URL of the video to send
+ * @param {string} caption - caption text
+ * @param {string} chatId - channel to send to, defaults to TARGET_CHANNEL_ID
+ * @param {string} [imageUrl] - URL of the image sent alongside the video
+ * @param {Object|boolean} watermark - watermark settings of the image, defaults to config.media.watermark
+ * @param {Object} labels - post labels of the target, for the video and image links
+ * @returns {Promise<Object|Array>} - Telegram API response, an array of messages for a media group
+ */
+async function sendTelegramVideo(videoUrl, caption, chatId = process.env.TARGET_CHANNEL_ID, imageUrl = null, watermark = config.media.watermark, labels = getLabels()) {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+    const linkCaption = `${caption}\n\n<a href="${escapeHtml(videoUrl)}">${escapeHtml(labels.video)}</a>`;
+
+    const sendWithoutVideo = () => imageUrl ?
+        sendTelegramPhoto(imageUrl, linkCaption, chatId, watermark, labels) :
+        sendTelegramMessage(linkCaption, chatId);
+
+    if (!await isSendableVideo(videoUrl)) {
+        return sendWithoutVideo();
+    }
+
+    // An image that cannot be used is left out of the media group
+    let photo = null;
+    if (imageUrl) {
+        try {
+            photo = await getTelegramPhoto(imageUrl, watermark);
+        } catch (error) {
+            if (!(error instanceof MediaError)) throw error;
+            console.log(`Sending video without image: ${error.message}`);
+        }
+    }
+
+    try {
+        if (photo) {
+            const messages = await callTelegram('Telegram sendMediaGroup', () => bot.sendMediaGroup(chatId, [
+                {type: 'photo', media: photo.media, fileOptions: photo.fileOptions, caption: caption, parse_mode: 'HTML'},
+                {type: 'video', media: videoUrl, supports_streaming: true}
+            ]));
+            await rememberTelegramPhoto(photo, messages[0]);
+            return messages;
+        }
+
+        return await callTelegram('Telegram sendVideo', () => bot.sendVideo(
+            chatId,
+            videoUrl,
             {
                 caption: caption,
-                parse_mode: 'HTML'
+                parse_mode: 'HTML',
+                supports_streaming: true
             }
-        );
+        ));
     } catch (error) {
-        console.error('Error sending Telegram photo:', error.message);
+        console.error('Error sending Telegram video:', error.message);
 
-        // If photo sending fails, try sending as a message
-        console.log('Attempting to send as message instead...');
-        return sendTelegramMessage(`${caption}\n\n<a href="${imageUrl}">تصویر خبر</a>`);
+        // Rate limits and outages would hit the fallback too
+        if (isRetryable(error)) throw error;
+
+        // Telegram could not fetch the video, send the rest with a link to it
+        console.log('Attempting to send without the video instead...');
+        return sendWithoutVideo();
     }
 }
 
 /**
- * Publish news article to Telegram
- * @param {Object} article - The news article to publish
- * @returns {Promise<Object>} - Result of the publishing operation
+ * Build the HTML messages of a news article
+ * The translated text is escaped and split at paragraph or sentence boundaries: the first message holds
+ * the title, as much text as fits the limit, the source and the signature; the rest follows in extra messages.
+ * Other sources of the story (article.other_sources) are linked under the source.
+ * @param {Object} article - The translated news article
+ * @param {string} signature - signature appended to the first message, defaults to SIGNATURE
+ * @param {number} limit - length limit of the first message, CAPTION_LIMIT for media captions
+ * @param {Object} labels - post labels in the language of the translation
+ * @returns {Array<string>} - The first message followed by overflow messages
+ */
+function formatNewsMessages(article, signature = process.env.SIGNATURE, limit = CAPTION_LIMIT, labels = getLabels()) {
+    const title = `<b>${escapeHtml(article.translated_title)}</b>`;
+    const otherSources = (article.other_sources || []).slice(0, MAX_OTHER_SOURCES)
+        .map(other => `<a href="${escapeHtml(other.link)}">${escapeHtml(other.source)}</a>`);
+    const footer = `${escapeHtml(labels.source)}: <a href="${escapeHtml(article.link)}">${escapeHtml(article.source)} </a> \n` +
+        (otherSources.length ? `${escapeHtml(labels.alsoIn)}: ${otherSources.join(labels.separator)}\n` : '') +
+        `${sanitizeHtml(signature || '')}`;
+
+    // Two paragraph breaks join title, text and footer
+    const budget = limit - visibleLength(title) - visibleLength(footer) - 4;
+    const [first, ...overflow] = splitText(
+        article.translated_content,
+        budget >= MIN_FIRST_PART ? budget : 0,
+        MESSAGE_LIMIT
+    );
+
+    return [
+        [title, escapeHtml(first), footer].filter(Boolean).join('\n\n'),
+        ...overflow.map(escapeHtml)
+    ];
+}
+
+/**
+ * Send the overflow messages of an article as replies to its first message
+ * @param {Array<string>} messages - Overflow messages
+ * @param {string} chatId - chat of the first message
+ * @param {Object|Array} sent - Telegram response of the first message, an array for media groups
+ * @param {string} stage - stage whose rate limit applies
+ * @returns {Promise<Array>} - Telegram API responses
+ */
+async function sendOverflowMessages(messages, chatId, sent, stage = 'publish') {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+    const first = Array.isArray(sent) ? sent[0] : sent;
+    const results = [];
+
+    for (const message of messages) {
+        results.push(await callTelegram('Telegram overflow message', () => bot.sendMessage(chatId, message, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_to_message_id: first && first.message_id
+        }), stage));
+    }
+
+    return results;
+}
+
+/**
+ * Inline keyboard shown under moderation previews
+ * @param {string} id - The ID of the news item
+ * @returns {Object} - reply_markup for the preview message
+ */
+function approvalKeyboard(id) {
+    return {
+        inline_keyboard: [
+            [
+                {text: '✅ Approve', callback_data: `approve:${id}`},
+                {text: '❌ Reject', callback_data: `reject:${id}`}
+            ],
+            [
+                {text: '✏️ Edit title', callback_data: `edit_title:${id}`},
+                {text: '✏️ Edit text', callback_data: `edit_text:${id}`}
+            ]
+        ]
+    };
+}
+
+/**
+ * Build the inline keyboard for changing a published post
+ * @param {string} id - news item id
+ * @returns {Object} - reply_markup with Edit, Note and Delete buttons
+ */
+function postKeyboard(id) {
+    return {
+        inline_keyboard: [
+            [
+                {text: '✏️ Edit title', callback_data: `post_title:${id}`},
+                {text: '✏️ Edit text', callback_data: `post_text:${id}`}
+            ],
+            [
+                {text: '📝 Correction note', callback_data: `post_note:${id}`},
+                {text: '🗑 Delete post', callback_data: `post_delete:${id}`}
+            ]
+        ]
+    };
+}
+
+/**
+ * Send a preview of a translated article to the admin chat for approval
+ * @param {Object} article - The translated news article
+ * @param {Object} target - Publishing target whose signature and watermark are shown in the preview
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function sendApprovalRequest(article, target) {
+    const {TELEGRAM_BOT_TOKEN, ADMIN_CHAT_ID} = process.env;
+    if (!ADMIN_CHAT_ID) {
+        throw new Error('ADMIN_CHAT_ID is not set');
+    }
+
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+    const options = {parse_mode: 'HTML', reply_markup: approvalKeyboard(article.id)};
+
+    try {
+        let result = null;
+        let messages;
+
+        if (article.image_url) {
+            messages = formatNewsMessages(article, target.signature, CAPTION_LIMIT, target.labels);
+            try {
+                result = await sendPreparedPhoto(
+                    bot, ADMIN_CHAT_ID, article.image_url, target.watermark, {...options, caption: messages[0]},
+                    'Telegram approval photo', 'moderate'
+                );
+            } catch (error) {
+                if (isRetryable(error)) throw error;
+                console.log('Could not send preview photo, sending text preview instead...');
+            }
+        }
+
+        if (!result) {
+            messages = formatNewsMessages(article, target.signature, MESSAGE_LIMIT, target.labels);
+            result = await callTelegram('Telegram approval message', () => bot.sendMessage(
+                ADMIN_CHAT_ID, messages[0], options
+            ), 'moderate');
+        }
+
+        // Editors see the whole text and why a filter rule flagged the item, the buttons stay on the first message
+        const flagNote = article.flag_reason ? [`⚠️ <b>Flagged:</b> ${escapeHtml(article.flag_reason)}`] : [];
+        await sendOverflowMessages([...messages.slice(1), ...flagNote], ADMIN_CHAT_ID, result, 'moderate');
+        return result;
+    } catch (error) {
+        console.error('Error sending approval request:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Send a plain text alert to the admin chat
+ * @param {string} text - Alert text, escaped before sending
+ * @returns {Promise<Object>} - Telegram API response
  */
-async function publishNewsToTelegram(article) {
-    const {SIGNATURE} = process.env;
+async function sendAdminAlert(text) {
+    const {TELEGRAM_BOT_TOKEN, ADMIN_CHAT_ID} = process.env;
+    if (!ADMIN_CHAT_ID) {
+        throw new Error('ADMIN_CHAT_ID is not set');
+    }
+
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+
     try {
-        const formattedDate = formatDate();
+        return await callTelegram('Telegram admin alert', () => bot.sendMessage(
+            ADMIN_CHAT_ID, escapeHtml(text), {parse_mode: 'HTML', disable_web_page_preview: true}
+        ), 'moderate');
+    } catch (error) {
+        console.error('Error sending admin alert:', error.message);
+        throw error;
+    }
+}
 
-        // Create a nice looking message
-        const caption = `<b>${article.translated_title}</b>\n\n` +
-            `${article.translated_content.substring(0, 1000)}${article.translated_content.length > 1000 ? '...' : ''}\n\n` +
-            `منبع: <a href="${article.link}">${article.source} </a> \n` +
-            `${SIGNATURE}`;
+/**
+ * Publish news article to Telegram
+ * @param {Object} article - The news article to publish, translated into the target's language
+ * @param {Object} target - Publishing target with channelId, signature and watermark
+ * @returns {Promise<Object>} - {chatId, messageType, messages} to record with the publication, and
+ *   missingOverflow/overflowError when replies holding the rest of the text could not be sent
+ */
+async function publishNewsToTelegram(article, target) {
+    try {
+        const hasMedia = Boolean(article.video_url || article.image_url);
+        const [caption, ...overflow] = formatNewsMessages(
+            article,
+            target.signature,
+            hasMedia ? CAPTION_LIMIT - MEDIA_LINK_RESERVE : MESSAGE_LIMIT,
+            target.labels
+        );
 
         let result;
 
-        // Send with image if available
-        if (article.image_url) {
-            result = await sendTelegramPhoto(article.image_url, caption);
+        // Send with video and image if available
+        if (article.video_url) {
+            result = await sendTelegramVideo(
+                article.video_url, caption, target.channelId, article.image_url, target.watermark, target.labels
+            );
+        } else if (article.image_url) {
+            result = await sendTelegramPhoto(article.image_url, caption, target.channelId, target.watermark, target.labels);
         } else {
-            result = await sendTelegramMessage(caption);
+            result = await sendTelegramMessage(caption, target.channelId);
         }
 
-        console.log(`Published news to Telegram: ${article.id}`);
-        return result;
+        // Text that did not fit follows as replies instead of being cut off
+        // The post is already in the channel, so a failed reply is logged and reported instead of thrown;
+        // throwing would leave the item unpublished and the next run would post it again
+        const overflowResults = [];
+        let overflowError = null;
+        for (const message of overflow) {
+            try {
+                overflowResults.push(...await sendOverflowMessages([message], target.channelId, result));
+            } catch (error) {
+                console.error(`Error sending the replies of ${article.id} to ${target.name}:`, error.message);
+                overflowError = error.message;
+                break;
+            }
+        }
+
+        console.log(`Published news to Telegram target ${target.name}: ${article.id}`);
+
+        // Media groups carry the caption on their first message
+        const [main, ...group] = Array.isArray(result) ? result : [result];
+        return {
+            chatId: target.channelId,
+            messageType: main.text !== undefined ? 'text' : 'caption',
+            messages: [
+                {messageId: main.message_id, role: 'main'},
+                ...group.map((message, index) => ({messageId: message.message_id, role: 'group', position: index})),
+                ...overflowResults.map((message, index) => ({messageId: message.message_id, role: 'overflow', position: index}))
+            ],
+            missingOverflow: overflow.length - overflowResults.length,
+            overflowError
+        };
     } catch (error) {
         console.error('Error publishing news to Telegram:', error);
         throw error;
     }
 }
 
+/**
+ * Check whether a Telegram error only says that an edit changed nothing
+ * @param {Error} error - Telegram error
+ * @returns {boolean} - true for "message is not modified"
+ */
+function isNotModified(error) {
+    return /message is not modified/i.test(error.message);
+}
+
+/**
+ * Replace the text or caption of a sent message
+ * @param {Object} bot - Telegram bot
+ * @param {string} chatId - chat of the message
+ * @param {number} messageId - message to edit
+ * @param {string} html - new text
+ * @param {string} messageType - 'text' or 'caption'
+ * @returns {Promise<void>}
+ */
+async function editTelegramMessage(bot, chatId, messageId, html, messageType) {
+    const options = {chat_id: chatId, message_id: messageId, parse_mode: 'HTML'};
+
+    try {
+        await callTelegram('Telegram edit message', () => messageType === 'text' ?
+            bot.editMessageText(html, options) :
+            bot.editMessageCaption(html, options));
+    } catch (error) {
+        if (!isNotModified(error)) throw error;
+    }
+}
+
+/**
+ * Delete sent messages, treating messages that are already gone as deleted
+ * @param {Object} bot - Telegram bot
+ * @param {string} chatId - chat of the messages
+ * @param {Array<number>} messageIds - messages to delete
+ * @returns {Promise<Array<number>>} - ids that no longer exist in the chat
+ */
+async function deleteTelegramMessages(bot, chatId, messageIds) {
+    const deleted = [];
+
+    for (const messageId of messageIds) {
+        try {
+            await callTelegram('Telegram deleteMessage', () => bot.deleteMessage(chatId, messageId));
+        } catch (error) {
+            if (!/message to delete not found/i.test(error.message)) throw error;
+        }
+        deleted.push(messageId);
+    }
+
+    return deleted;
+}
+
+/**
+ * Re-render a published post after its translation changed
+ * The main message is edited; overflow replies are edited, added or deleted to match the new text.
+ * @param {Object} article - The news article with the new translation
+ * @param {Object} target - Publishing target of the post
+ * @param {Object} publication - Publication row with chat_id, message_type and messages
+ * @returns {Promise<Object>} - {added, removed} overflow messages
+ */
+async function updatePublishedPost(article, target, publication) {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+
+    try {
+        const limit = publication.message_type === 'text' ? MESSAGE_LIMIT : CAPTION_LIMIT - MEDIA_LINK_RESERVE;
+        const [first, ...overflow] = formatNewsMessages(article, target.signature, limit, target.labels);
+        const main = publication.messages.find(message => message.role === 'main');
+        const previousOverflow = publication.messages.filter(message => message.role === 'overflow');
+
+        await editTelegramMessage(bot, publication.chat_id, main.message_id, first, publication.message_type);
+
+        for (let index = 0; index < Math.min(overflow.length, previousOverflow.length); index++) {
+            await editTelegramMessage(bot, publication.chat_id, previousOverflow[index].message_id, overflow[index], 'text');
+        }
+
+        const sent = await sendOverflowMessages(
+            overflow.slice(previousOverflow.length),
+            publication.chat_id,
+            {message_id: main.message_id}
+        );
+        const removed = await deleteTelegramMessages(
+            bot,
+            publication.chat_id,
+            previousOverflow.slice(overflow.length).map(message => message.message_id)
+        );
+
+        return {
+            added: sent.map((message, index) => ({
+                messageId: message.message_id,
+                role: 'overflow',
+                position: previousOverflow.length + index
+            })),
+            removed
+        };
+    } catch (error) {
+        console.error('Error updating published post:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Post a correction note as a reply to a published post
+ * @param {Object} publication - Publication row with chat_id and messages
+ * @param {string} note - Correction text
+ * @param {Object} labels - post labels of the publication's target
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function sendCorrectionNote(publication, note, labels = getLabels()) {
+    const main = publication.messages.find(message => message.role === 'main');
+    return sendTelegramMessage(`<b>${escapeHtml(labels.correction)}:</b> ${escapeHtml(note)}`, publication.chat_id, {
+        reply_to_message_id: main.message_id
+    });
+}
+
+/**
+ * Delete every message of a published post from its channel
+ * @param {Object} publication - Publication row with chat_id and messages
+ * @returns {Promise<Array<number>>} - Deleted message ids
+ */
+async function deletePublishedPost(publication) {
+    const {TELEGRAM_BOT_TOKEN} = process.env;
+    const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {polling: false});
+
+    try {
+        // Replies first, so the main message is only gone once nothing points to it
+        const messageIds = publication.messages.map(message => message.message_id).reverse();
+        return await deleteTelegramMessages(bot, publication.chat_id, messageIds);
+    } catch (error) {
+        console.error('Error deleting published post:', error.message);
+        throw error;
+    }
+}
+
 module.exports = {
     sendTelegramMessage,
     sendTelegramPhoto,
-    publishNewsToTelegram
+    sendTelegramVideo,
+    publishNewsToTelegram,
+    updatePublishedPost,
+    sendCorrectionNote,
+    deletePublishedPost,
+    sendApprovalRequest,
+    sendAdminAlert,
+    postKeyboard,
+    formatNewsMessages
 };
\ No newline at end of file
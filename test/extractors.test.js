@@ -0,0 +1,94 @@
+const {describe, test} = require('node:test');
+const assert = require('node:assert/strict');
+const {extractNewsItemsFromHtml, extractArticleFromHtml} = require('../services/scraper');
+const {parseFeedItems} = require('../services/feedReader');
+
+const selectors = {
+    newsContainer: 'li.story',
+    title: 'h3',
+    link: 'h3 a',
+    text: 'article .body',
+    remove: 'article .body aside',
+    image: 'head > meta[property="og:image"]',
+    video: ''
+};
+
+const listing = `
+    <ul>
+        <li class="story"><h3><a href="/world/one">  First story </a></h3></li>
+        <li class="story"><h3><a href="https://other.example/two">Second story</a></h3></li>
+        <li class="story"><h3>No link</h3></li>
+        <li class="promo"><h3><a href="/ad">Advert</a></h3></li>
+    </ul>`;
+
+const article = `
+    <html><head>
+        <meta property="og:image" content="https://news.example/image.jpg">
+        <meta property="og:video" content="/clip.mp4">
+        <link rel="canonical" href="/world/one">
+    </head><body>
+        <article><div class="body"><p>First paragraph.</p><aside>Read more</aside><p>Second   paragraph.</p></div></article>
+    </body></html>`;
+
+describe('listing extraction', () => {
+    test('finds items with a title and link and resolves relative links', () => {
+        assert.deepEqual(extractNewsItemsFromHtml(listing, 'https://news.example/world/', selectors), [
+            {title: 'First story', link: 'https://news.example/world/one'},
+            {title: 'Second story', link: 'https://other.example/two'}
+        ]);
+    });
+
+    test('uses the container as the link when selectors.link is empty', () => {
+        const html = '<a class="card" href="/a"><span>Card title</span></a>';
+        const items = extractNewsItemsFromHtml(html, 'https://news.example/', {newsContainer: 'a.card', title: 'span', link: ''});
+        assert.deepEqual(items, [{title: 'Card title', link: 'https://news.example/a'}]);
+    });
+
+    test('drops links that are not http or https', () => {
+        const html = `
+            <li class="story"><h3><a href="javascript:alert(1)">Script</a></h3></li>
+            <li class="story"><h3><a href=" JavaScript:alert(1)">Padded script</a></h3></li>
+            <li class="story"><h3><a href="data:text/html,x">Data</a></h3></li>
+            <li class="story"><h3><a href="http://news.example/three">Plain http</a></h3></li>`;
+        assert.deepEqual(extractNewsItemsFromHtml(html, 'https://news.example/', selectors), [
+            {title: 'Plain http', link: 'http://news.example/three'}
+        ]);
+    });
+
+    test('returns nothing when the container selector no longer matches', () => {
+        assert.deepEqual(extractNewsItemsFromHtml(listing, 'https://news.example/', {...selectors, newsContainer: 'div.card'}), []);
+    });
+});
+
+describe('article extraction', () => {
+    test('reads text without removed elements, the image, video and canonical URL', () => {
+        assert.deepEqual(extractArticleFromHtml(article, 'https://news.example/world/one?utm_source=x', selectors), {
+            image_url: 'https://news.example/image.jpg',
+            video_url: 'https://news.example/clip.mp4',
+            content: 'First paragraph.Second paragraph.',
+            canonical_url: 'https://news.example/world/one'
+        });
+    });
+
+    test('returns empty content when the text selector no longer matches', () => {
+        const result = extractArticleFromHtml(article, 'https://news.example/world/one', {...selectors, text: '.story-body'});
+        assert.equal(result.content, '');
+    });
+});
+
+describe('feed parsing', () => {
+    test('skips entries without a link or with a malformed or non-http one and resolves relative links', () => {
+        const feed = `<?xml version="1.0"?><rss><channel>
+            <item><title>Relative</title><link>/news/1</link><description>&lt;p&gt;Summary&lt;/p&gt;</description></item>
+            <item><title>No link</title></item>
+            <item><title>Malformed</title><link>https://[feeds.example/news/2</link></item>
+            <item><title>Script</title><link>javascript:alert(1)</link></item>
+        </channel></rss>`;
+        const items = parseFeedItems(feed, 'rss', 'https://feeds.example/rss.xml');
+
+        assert.equal(items.length, 1);
+        assert.equal(items[0].link, 'https://feeds.example/news/1');
+        assert.equal(items[0].summary, 'Summary');
+        assert.equal(items[0].content, null);
+    });
+});
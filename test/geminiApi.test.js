@@ -0,0 +1,52 @@
+const {describe, test, before} = require('node:test');
+const assert = require('node:assert/strict');
+const mockProvider = require('../api/providers/mock');
+
+// Record what the mock provider is asked; patched before llmClient reads the factory
+const requests = [];
+const {createMockProvider} = mockProvider;
+mockProvider.createMockProvider = (options) => {
+    const provider = createMockProvider(options);
+    return {
+        ...provider,
+        generate(request) {
+            requests.push(request);
+            return provider.generate(request);
+        }
+    };
+};
+
+const {reviewNews, translateArticle} = require('../api/geminiApi');
+const {config} = require('../config');
+
+describe('LLM requests', () => {
+    before(() => {
+        process.env.LLM_PROVIDER = 'mock';
+        config.sources.LanguageTest = {url: 'https://example.com/', language: 'de', selectors: {}};
+    });
+
+    test('review items carry the language of their source', async () => {
+        requests.length = 0;
+        await reviewNews([
+            {title: 'Published earlier', source: 'LanguageTest'},
+            {id: 'a', title: 'Neue Nachrichten', source: 'LanguageTest'},
+            {id: 'b', title: 'Unknown source', source: 'Removed'}
+        ]);
+
+        const [request] = requests;
+        assert.equal(request.task, 'review');
+        assert.deepEqual(JSON.parse(request.text), [
+            {title: 'Published earlier', language: 'de'},
+            {id: 'a', title: 'Neue Nachrichten', language: 'de'},
+            {id: 'b', title: 'Unknown source'}
+        ]);
+        assert.ok(request.prompt.startsWith(config.prompts.review.split('{{categories}}')[0]));
+    });
+
+    test('articles to translate carry the language of their source', async () => {
+        requests.length = 0;
+        await translateArticle({title: 'Titel', content: 'Text', source: 'LanguageTest'});
+
+        assert.deepEqual(JSON.parse(requests[0].text), {title: 'Titel', content: 'Text', language: 'de'});
+    });
+});
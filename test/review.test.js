@@ -0,0 +1,97 @@
+const {describe, test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockProvider = require('../api/providers/mock');
+
+// Review answers follow the titles: "Unscorable" items never get a score, all others score 80. Like some
+// models, it also scores the context items without an id and adds an id it was not sent.
+mockProvider.createMockProvider = ({name}) => ({
+    name,
+    async generate({task, text}) {
+        if (task !== 'review') throw new Error(`Unexpected task ${task}`);
+        return JSON.stringify([...JSON.parse(text), {id: 'unknown', title: 'Invented'}]
+            .filter(item => !item.title.startsWith('Unscorable'))
+            .map(item => ({id: item.id, score: 80, category: 'world', rationale: 'test'})));
+    }
+});
+
+const {config} = require('../config');
+const {processPendingNews} = require('../services/newsService');
+const db = require('../db/newsDatabase');
+
+const workingDir = process.cwd();
+let dir;
+
+/**
+ * Insert a pending news item
+ * @param {string} title - Title of the item
+ * @returns {Promise<string>} - ID of the item
+ */
+function insertPending(title) {
+    return db.insertNewsItem({title, link: `https://news.example/${encodeURIComponent(title)}`, source: 'Example'});
+}
+
+describe('review', () => {
+    before(async () => {
+        // The database is opened as ./news.db
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+        process.chdir(dir);
+        process.env.LLM_PROVIDER = 'mock';
+        config.dedup.enabled = false;
+        config.review.maxPerRun = 0;
+        await db.initDatabase();
+    });
+
+    after(async () => {
+        await db.closeDatabase();
+        process.chdir(workingDir);
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('fails items the review never scores after config.maxAttempts.review runs', async () => {
+        const scored = await insertPending('Scored story');
+        const unscorable = await insertPending('Unscorable story');
+
+        for (let run = 1; run < config.maxAttempts.review; run++) {
+            await processPendingNews();
+            assert.equal((await db.getNewsById(unscorable)).status, db.StatusEnum.PENDING_REVIEW);
+        }
+        await processPendingNews();
+
+        const failed = await db.getNewsById(unscorable);
+        assert.equal(failed.status, db.StatusEnum.FAILED);
+        assert.equal(failed.failed_stage, 'review');
+        assert.equal((await db.getNewsById(scored)).review_score, 80);
+
+        // Requeued items are reviewed again
+        assert.equal(await db.requeueFailedNews(unscorable), true);
+        assert.equal((await db.getNewsById(unscorable)).status, db.StatusEnum.PENDING_REVIEW);
+    });
+
+    test('ignores scores of context items and unknown ids', async () => {
+        const published = await insertPending('Published story');
+        await db.updateNewsStatus(published, db.StatusEnum.PUBLISHED);
+        const fresh = await insertPending('Fresh story');
+
+        await processPendingNews();
+
+        assert.equal((await db.getNewsById(fresh)).review_score, 80);
+    });
+
+    test('expires unscored items after maxAge', async () => {
+        const {maxAge} = config.review;
+        config.review.maxAge = -1;
+        try {
+            const unscorable = await insertPending('Unscorable late story');
+            await processPendingNews();
+
+            const expired = await db.getNewsById(unscorable);
+            assert.equal(expired.status, db.StatusEnum.REJECTED);
+            assert.equal(expired.review_score, null);
+        } finally {
+            config.review.maxAge = maxAge;
+        }
+    });
+});
@@ -0,0 +1,35 @@
+const {describe, test} = require('node:test');
+const assert = require('node:assert/strict');
+const {config} = require('../config');
+const {listFixtures, loadFixture, extractPages, describeExpected} = require('../services/fixtures');
+
+// Runs the selectors of every configured source against its saved pages in test/fixtures.
+// Fixtures must be captures of the real pages; sources without one are reported as todo, not passed.
+// After an intended selector change, rewrite the expectations with: node index.js fixtures update <source>
+const captured = new Set(listFixtures());
+
+describe('source selectors', () => {
+    for (const [name, source] of Object.entries(config.sources)) {
+        const todo = captured.has(name) ? false : `no fixture, capture one with: node index.js fixtures capture ${name}`;
+
+        test(name, {todo}, () => {
+            assert.ok(captured.has(name), todo);
+
+            const fixture = loadFixture(name);
+            const actual = describeExpected(extractPages(source, fixture));
+            const {expected} = fixture;
+
+            assert.ok(actual.itemCount > 0, 'the listing has no items');
+            assert.equal(actual.itemCount, expected.itemCount, 'listing item count');
+            assert.deepEqual(actual.items, expected.items, 'first listing items');
+
+            if (expected.article) {
+                assert.ok(actual.article.contentLength > 0, 'the article has no text');
+                assert.equal(actual.article.image_url, expected.article.image_url, 'article image');
+                assert.equal(actual.article.video_url, expected.article.video_url, 'article video');
+                assert.equal(actual.article.contentStart, expected.article.contentStart, 'start of the article text');
+                assert.equal(actual.article.contentLength, expected.article.contentLength, 'article text length');
+            }
+        });
+    }
+});
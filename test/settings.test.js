@@ -0,0 +1,118 @@
+const {describe, test, beforeEach, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {loadSettings, SettingsError} = require('../utils/settings');
+
+const SOURCES = `
+Example:
+  url: https://example.com/news
+  priority: 5
+  language: en
+  selectors:
+    newsContainer: article
+    title: h2
+    link: a
+    text: .story
+`;
+
+let dir;
+
+/**
+ * Write a file to the temporary settings directory
+ * @param {string} name - File name
+ * @param {string} text - File content
+ */
+function write(name, text) {
+    fs.writeFileSync(path.join(dir, name), text);
+}
+
+/**
+ * Load the temporary settings and return the problems they have
+ * @returns {Array<string>} - Problems, empty when the settings are valid
+ */
+function problems() {
+    try {
+        loadSettings(dir);
+        return [];
+    } catch (error) {
+        assert.ok(error instanceof SettingsError);
+        return error.problems;
+    }
+}
+
+describe('settings files', () => {
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('loads YAML and JSON files, with defaults for the optional ones', () => {
+        write('sources.yaml', SOURCES);
+        write('prompts.json', JSON.stringify({review: 'Score these items'}));
+
+        assert.deepEqual(loadSettings(dir), {
+            sources: {
+                Example: {
+                    url: 'https://example.com/news',
+                    priority: 5,
+                    language: 'en',
+                    selectors: {newsContainer: 'article', title: 'h2', link: 'a', text: '.story'}
+                }
+            },
+            filters: {rules: []},
+            prompts: {review: 'Score these items'}
+        });
+    });
+
+    test('the settings files of the repository are valid', () => {
+        const settings = loadSettings(path.join(__dirname, '..', 'settings'));
+
+        assert.ok(Object.keys(settings.sources).length > 0);
+        assert.ok(settings.prompts.review && settings.prompts.translate);
+    });
+
+    test('requires the sources file', () => {
+        assert.deepEqual(problems(), [`${path.join(dir, 'sources')}.yaml is missing`]);
+    });
+
+    test('reports every problem with the file it is in', () => {
+        write('sources.yaml', `${SOURCES}
+Broken:
+  url: not a url
+  enabled: "no"
+  selectors:
+    newsContainer: "div[class"
+    title: h2
+`);
+        write('filters.yaml', 'rules:\n  - {name: numbers, match: regex, patterns: ["(\\\\d+"], scope: headline}\n');
+
+        assert.deepEqual(problems(), [
+            'sources.yaml: Broken.enabled must be of type boolean',
+            'filters.yaml: rule numbers has an unknown scope "headline"',
+            'filters.yaml: rule numbers: Invalid regular expression: /(\\d+/iu: Unterminated group'
+        ]);
+
+        write('sources.yaml', SOURCES.replace('https://example.com/news', 'ftp://example.com').replace('    link: a\n', ''));
+        assert.deepEqual(problems().filter(problem => problem.startsWith('sources')), [
+            'sources.yaml: Example.url must be http or https',
+            'sources.yaml: Example.selectors.link is required'
+        ]);
+    });
+
+    test('rejects unknown keys, syntax errors and duplicate files', () => {
+        write('sources.yaml', SOURCES.replace('priority: 5', 'priorty: 5'));
+        assert.deepEqual(problems(), ['sources.yaml: Example.priorty is not allowed']);
+
+        write('sources.yaml', 'Example: [');
+        assert.match(problems()[0], /^sources\.yaml: unexpected end of the stream/);
+
+        write('sources.yaml', SOURCES);
+        write('sources.json', '{}');
+        assert.deepEqual(problems(), ['Use one file for sources, found sources.yaml and sources.json']);
+    });
+});
@@ -0,0 +1,64 @@
+const {describe, test} = require('node:test');
+const assert = require('node:assert/strict');
+const {suggestListingSelectors, suggestArticleSelectors, validateSource} = require('../services/sourceWizard');
+
+const card = (id, title) => `
+    <div class="card"><a class="card-link" href="/news/${id}"><h2 class="card-title">${title}</h2></a><span>${id}h</span></div>`;
+
+const listing = `<html><body>
+    <nav><a href="/about">About us and our mission today</a><a href="/world">World</a></nav>
+    <div class="grid">
+        ${card(1, 'Leaders meet in Geneva to discuss the ceasefire')}
+        ${card(2, 'Oil prices fall as supply worries ease again')}
+        ${card(3, 'Floods displace thousands in the coastal region')}
+        ${card(4, 'Election results delayed after counting dispute')}
+    </div>
+    <ul class="most-read"><li><a href="/news/9">Short</a></li></ul>
+</body></html>`;
+
+const article = `<html><head><meta property="og:image" content="https://site.example/img.jpg"></head><body>
+    <header><p>Site header</p></header>
+    <article><div class="story-body">
+        <p>Leaders from several countries met in Geneva on Monday to discuss the ceasefire proposal.</p>
+        <figure><figcaption>Caption</figcaption></figure>
+        <p>The talks are expected to continue through the week, officials said.</p>
+        <div class="more-links"><a href="/a">Another story about the talks</a></div>
+    </div></article>
+</body></html>`;
+
+describe('source wizard', () => {
+    test('proposes the repeated container of the headlines first', () => {
+        const [best] = suggestListingSelectors(listing, 'https://site.example/world');
+
+        assert.equal(best.items.length, 4);
+        assert.deepEqual(best.items[0], {title: 'Leaders meet in Geneva to discuss the ceasefire', link: 'https://site.example/news/1'});
+        assert.ok(['a.card-link', 'div.card'].includes(best.selectors.newsContainer));
+    });
+
+    test('finds no candidates on a page without repeated headlines', () => {
+        assert.deepEqual(suggestListingSelectors(article, 'https://site.example/'), []);
+    });
+
+    test('proposes the paragraph container as text and the noise inside it for removal', () => {
+        assert.deepEqual(suggestArticleSelectors(article), {
+            text: 'div.story-body',
+            remove: 'div.story-body figure,div.story-body > div.more-links',
+            image: 'head > meta[property="og:image"]',
+            video: ''
+        });
+    });
+
+    test('reports missing fields and invalid selectors', () => {
+        const problems = validateSource('New source', {
+            url: 'ftp://site.example',
+            selectors: {newsContainer: 'div[class', title: 'h2'}
+        });
+
+        assert.deepEqual(problems, [
+            'name may only contain letters, digits, _ and -',
+            'url must be http or https',
+            'selectors.text is required',
+            'selectors.newsContainer is not a valid selector: div[class'
+        ]);
+    });
+});
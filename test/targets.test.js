@@ -0,0 +1,24 @@
+const {describe, test, before} = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {loadSettings} = require('../utils/settings');
+const {config} = require('../config');
+const {getTargets} = require('../services/targets');
+
+describe('publishing targets', () => {
+    before(() => {
+        config.prompts = loadSettings(path.join(__dirname, '..', 'settings')).prompts;
+        config.targets = {
+            main: {channelId: '1', language: 'fa', promptTemplate: 'translate'},
+            english: {channelId: '2', language: 'en', promptTemplate: 'translate'}
+        };
+    });
+
+    test('fill the translate template with the name of their language', () => {
+        const [persian, english] = getTargets();
+
+        assert.match(persian.prompt, /rewrite each item in Persian/);
+        assert.match(english.prompt, /rewrite each item in English/);
+        assert.doesNotMatch(english.prompt, /Persian|\{\{language\}\}/);
+    });
+});
@@ -0,0 +1,22 @@
+const {describe, test} = require('node:test');
+const assert = require('node:assert/strict');
+const {canonicalizeUrl, getDedupKey} = require('../utils/url');
+
+describe('article URLs', () => {
+    test('drops known trackers and keeps the parameters that select content', () => {
+        assert.equal(
+            canonicalizeUrl('https://Example.com/story/?utm_source=x&id=5&fbclid=abc&mc_cid=1&gclid=2#top'),
+            'https://example.com/story?id=5'
+        );
+        assert.equal(
+            canonicalizeUrl('https://example.com/view?source=rss&ref=home&src=feed&partner=a&share=1&amp=1&via=b&outputType=amp'),
+            'https://example.com/view?amp=1&outputType=amp&partner=a&ref=home&share=1&source=rss&src=feed&via=b'
+        );
+    });
+
+    test('gives the same article on another host alias or with trackers the same dedup key', () => {
+        const key = getDedupKey('https://www.example.com/news/1?utm_medium=social');
+        assert.equal(getDedupKey('http://m.example.com/news/1/'), key);
+        assert.notEqual(getDedupKey('https://www.example.com/news/1?source=2'), key);
+    });
+});
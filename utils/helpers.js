@@ -32,8 +32,90 @@ function formatDate(date = new Date()) {
     });
 }
 
+/**
+ * Parse a timestamp stored by SQLite's CURRENT_TIMESTAMP, which is UTC without a zone
+ * @param {string} value - e.g. '2025-01-31 12:00:00'
+ * @returns {Date} - date object
+ */
+function parseDbTimestamp(value) {
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+/**
+ * Check whether the current time falls inside the configured active hours
+ * @param {Object|null} activeHours - {from, to, timeZone}, hours from 0 to 24; null means always active
+ * @param {Date} date - date object
+ * @returns {boolean} - true if within active hours
+ */
+function isWithinActiveHours(activeHours, date = new Date()) {
+    if (!activeHours) return true;
+
+    const hour = Number(new Intl.DateTimeFormat('en-US', {
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZone: activeHours.timeZone
+    }).format(date));
+
+    const {from, to} = activeHours;
+    return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+/**
+ * Run an async function over a list with at most `limit` calls in flight
+ * @param {Array} items - items to process
+ * @param {number} limit - maximum number of concurrent calls
+ * @param {Function} fn - async function called with (item, index)
+ * @returns {Promise<Array>} - results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker));
+    return results;
+}
+
+/**
+ * Fill the {{name}} placeholders of a template
+ * Placeholders without a value are left as they are.
+ * @param {string} template - Text with placeholders, e.g. 'Rewrite in {{language}}'
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} - Filled text
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+        (values[name] === undefined ? placeholder : String(values[name])));
+}
+
+/**
+ * Wait until the process receives one of the given signals
+ * @param {Array<string>} signals - signal names
+ * @returns {Promise<string>} - the received signal
+ */
+function waitForSignal(signals = ['SIGTERM', 'SIGINT']) {
+    return new Promise(resolve => {
+        const handler = (signal) => {
+            signals.forEach(name => process.removeListener(name, handler));
+            resolve(signal);
+        };
+        signals.forEach(name => process.on(name, handler));
+    });
+}
+
 module.exports = {
     delay,
+    waitForSignal,
+    mapWithConcurrency,
     generateHash,
-    formatDate
+    formatDate,
+    renderTemplate,
+    parseDbTimestamp,
+    isWithinActiveHours
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset used for LLM responses and settings files: type (a name or a list of names),
+ * properties, required, additionalProperties (false or a schema), items, enum, minLength, minimum and maximum.
+ * @param {*} value - value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - path of the value, used in error messages
+ * @returns {Array<string>} - validation errors, empty if the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => matchesType(value, type))) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (isPlainObject(schema.additionalProperties)) {
+                errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - true if the value has that type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Check for a non-array object
+ * @param {*} value - value to check
+ * @returns {boolean} - true for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,81 @@
+const {delay} = require('./helpers');
+const {config} = require('../config');
+
+const limiters = new Map();
+
+/**
+ * Create a token bucket rate limiter
+ * @param {Object} options - limiter options
+ * @param {number} options.tokens - tokens added per interval
+ * @param {number} options.interval - refill interval in milliseconds
+ * @param {number} [options.capacity] - maximum burst size, defaults to tokens
+ * @returns {Object} - limiter with take and pause functions
+ */
+function createRateLimiter({tokens, interval, capacity = tokens}) {
+    let available = capacity;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        available = Math.min(capacity, available + (now - lastRefill) * tokens / interval);
+        lastRefill = now;
+    };
+
+    /**
+     * Wait for a token; callers are served in order
+     * @returns {Promise<void>}
+     */
+    function take() {
+        const turn = queue.then(async () => {
+            if (pausedUntil > Date.now()) {
+                await delay(pausedUntil - Date.now());
+            }
+
+            refill();
+            if (available < 1) {
+                await delay(Math.ceil((1 - available) * interval / tokens));
+                refill();
+            }
+            available -= 1;
+        });
+
+        queue = turn;
+        return turn;
+    }
+
+    /**
+     * Stop handing out tokens for a while, e.g. after a 429 with Retry-After
+     * @param {number} ms - milliseconds to pause
+     */
+    function pause(ms) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        available = 0;
+    }
+
+    return {take, pause};
+}
+
+/**
+ * Get the shared limiter for a stage and provider from config.rateLimits
+ * @param {string} stage - pipeline stage, e.g. 'translate' or 'publish'
+ * @param {string} provider - provider name, e.g. 'gemini' or 'telegram'
+ * @returns {Object|null} - limiter, or null if no limit is configured
+ */
+function getRateLimiter(stage, provider) {
+    const key = `${stage}:${provider}`;
+
+    if (!limiters.has(key)) {
+        const stageLimits = config.rateLimits[stage] || {};
+        const options = stageLimits[provider];
+        limiters.set(key, options ? createRateLimiter(options) : null);
+    }
+
+    return limiters.get(key);
+}
+
+module.exports = {
+    createRateLimiter,
+    getRateLimiter
+};
@@ -0,0 +1,111 @@
+const {delay} = require('./helpers');
+const {config} = require('../config');
+
+// Network error codes worth retrying; refused connections and DNS failures fail over right away
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'EFATAL'];
+
+/**
+ * Get the HTTP status of a failed request from axios or node-telegram-bot-api errors
+ * @param {Error} error - request error
+ * @returns {number|null} - HTTP status code
+ */
+function getStatus(error) {
+    const response = error.response;
+    return response ? (response.status || response.statusCode || null) : null;
+}
+
+/**
+ * Read how long the server asked us to wait
+ * Honours Telegram's parameters.retry_after and the HTTP Retry-After header (seconds or date).
+ * @param {Error} error - request error
+ * @returns {number|null} - milliseconds to wait, or null if the server did not say
+ */
+function getRetryAfter(error) {
+    const response = error.response;
+    if (!response) return null;
+
+    const body = response.body || response.data;
+    if (body && body.parameters && body.parameters.retry_after) {
+        return body.parameters.retry_after * 1000;
+    }
+
+    const header = response.headers && response.headers['retry-after'];
+    if (header) {
+        const seconds = Number(header);
+        if (!isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Decide whether a failed call may succeed when repeated
+ * @param {Error} error - request error
+ * @returns {boolean} - true for rate limits, server errors and transient network errors
+ */
+function isRetryable(error) {
+    const status = getStatus(error);
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, the other half random
+ * @param {number} attempt - zero-based retry number
+ * @param {Object} policy - retry policy
+ * @returns {number} - milliseconds to wait
+ */
+function backoffDelay(attempt, policy) {
+    const base = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+    return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Call a function and retry it on transient failures
+ * @param {Function} fn - async function to call
+ * @param {Object} options - options
+ * @param {string} options.label - name used in log messages
+ * @param {Object} [options.limiter] - rate limiter to take a token from before every attempt
+ * @param {Object} [options.policy] - overrides for config.retry
+ * @returns {Promise<*>} - result of fn
+ */
+async function withRetry(fn, {label, limiter = null, policy = {}}) {
+    const {retries, minDelay, maxDelay, factor, maxRetryAfter} = {...config.retry, ...policy};
+
+    for (let attempt = 0; ; attempt++) {
+        if (limiter) await limiter.take();
+
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+
+            const retryAfter = getRetryAfter(error);
+            if (retryAfter !== null && retryAfter > maxRetryAfter) {
+                // Waiting that long would stall the whole stage, let the caller fail over or try next run
+                console.warn(`${label}: server asked to wait ${Math.round(retryAfter / 1000)}s, giving up`);
+                throw error;
+            }
+
+            const wait = retryAfter !== null ? retryAfter : backoffDelay(attempt, {minDelay, maxDelay, factor});
+            if (retryAfter !== null && limiter) {
+                // Hold back every caller sharing this limiter, not only this one
+                limiter.pause(retryAfter);
+            }
+
+            console.warn(`${label}: ${error.message}, retrying in ${Math.round(wait / 1000)}s (${attempt + 1}/${retries})`);
+            await delay(wait);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    isRetryable,
+    getRetryAfter
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {parseHTML} = require('linkedom');
+const {validateSchema} = require('./jsonSchema');
+
+// Settings read from files, by the config key they replace; each may be YAML or JSON
+const SETTINGS_FILES = {
+    sources: {required: true, fallback: {}},
+    filters: {required: false, fallback: {rules: []}},
+    prompts: {required: false, fallback: {}}
+};
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const FILTER_SCOPES = ['title', 'content', 'translation', 'source', 'url'];
+
+// Selectors a source needs: listings are scraped with selectors unless the source is a feed,
+// and article pages need at least the text selector
+const LISTING_SELECTORS = ['newsContainer', 'title', 'link', 'text'];
+const ARTICLE_SELECTORS = ['text'];
+
+// Wait for an editor to finish writing before reloading
+const RELOAD_DELAY = 500;
+
+const SOURCE_SCHEMA = {
+    type: 'object',
+    properties: {
+        url: {type: 'string', minLength: 1},
+        type: {enum: ['rss', 'atom', 'jsonfeed']},
+        fetchMode: {enum: ['http', 'browser']},
+        enabled: {type: 'boolean'},
+        priority: {type: 'integer'},
+        language: {type: 'string', minLength: 1},
+        interval: {type: 'integer', minimum: 60 * 1000},
+        selectors: {
+            type: 'object',
+            properties: {
+                newsContainer: {type: 'string', minLength: 1},
+                title: {type: 'string', minLength: 1},
+                link: {type: 'string'},
+                text: {type: 'string'},
+                remove: {type: 'string'},
+                image: {type: 'string'},
+                video: {type: 'string'}
+            },
+            additionalProperties: false
+        }
+    },
+    required: ['url'],
+    additionalProperties: false
+};
+
+const SCHEMAS = {
+    sources: {type: 'object', additionalProperties: SOURCE_SCHEMA},
+    filters: {
+        type: 'object',
+        properties: {
+            rules: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: {type: 'string', minLength: 1},
+                        scope: {type: ['string', 'array'], items: {type: 'string'}},
+                        match: {enum: ['word', 'phrase', 'regex']},
+                        patterns: {type: ['string', 'array'], items: {type: 'string', minLength: 1}},
+                        pattern: {type: 'string', minLength: 1},
+                        action: {enum: ['allow', 'reject', 'flag', 'lower']},
+                        reason: {type: 'string'},
+                        amount: {type: 'integer', minimum: 1},
+                        sources: {type: 'array', items: {type: 'string'}},
+                        normalize: {type: 'boolean'},
+                        flags: {type: 'string'}
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ['rules'],
+        additionalProperties: false
+    },
+    prompts: {type: 'object', additionalProperties: {type: 'string', minLength: 1}}
+};
+
+/**
+ * Error listing every problem found in the settings files
+ */
+class SettingsError extends Error {
+    constructor(problems) {
+        super(`Invalid settings:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'SettingsError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Find the file of a setting in the settings directory
+ * @param {string} dir - Settings directory
+ * @param {string} name - Setting name, e.g. 'sources'
+ * @returns {Array<string>} - Paths of the existing files, e.g. [settings/sources.yaml]
+ */
+function findSettingsFiles(dir, name) {
+    return EXTENSIONS.map(extension => path.join(dir, `${name}${extension}`)).filter(file => fs.existsSync(file));
+}
+
+/**
+ * Check the parts of the settings a schema cannot: selectors, URLs and regular expressions
+ * @param {string} name - Setting name
+ * @param {Object} value - Parsed and schema-checked setting
+ * @param {string} file - File name used in problems
+ * @returns {Array<string>} - Problems
+ */
+function checkSettingValues(name, value, file) {
+    const problems = [];
+
+    if (name === 'sources') {
+        const {document} = parseHTML('<html><body></body></html>');
+        for (const [sourceName, source] of Object.entries(value)) {
+            const where = `${file}: ${sourceName}`;
+            try {
+                if (!/^https?:$/.test(new URL(source.url).protocol)) problems.push(`${where}.url must be http or https`);
+            } catch (error) {
+                problems.push(`${where}.url is not a valid URL`);
+            }
+
+            if (!source.type && !source.selectors) problems.push(`${where} needs selectors, or a feed type`);
+            const needed = source.type ? ARTICLE_SELECTORS : LISTING_SELECTORS;
+            for (const key of source.selectors ? needed : []) {
+                if (source.selectors[key] === undefined) problems.push(`${where}.selectors.${key} is required`);
+            }
+            for (const [key, selector] of Object.entries(source.selectors || {})) {
+                if (!selector) continue;
+                try {
+                    document.querySelectorAll(selector);
+                } catch (error) {
+                    problems.push(`${where}.selectors.${key} is not a valid selector: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    if (name === 'filters') {
+        value.rules.forEach((rule, index) => {
+            const where = `${file}: rule ${rule.name || index + 1}`;
+            const invalidScope = [].concat(rule.scope || []).find(scope => !FILTER_SCOPES.includes(scope));
+            if (invalidScope) problems.push(`${where} has an unknown scope "${invalidScope}"`);
+            const patterns = [].concat(rule.patterns || rule.pattern || []);
+            if (!patterns.length) problems.push(`${where} has no patterns`);
+            if (rule.match !== 'regex') return;
+            for (const pattern of patterns) {
+                try {
+                    new RegExp(pattern, rule.flags || 'iu');
+                } catch (error) {
+                    problems.push(`${where}: ${error.message}`);
+                }
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Read and validate one setting
+ * @param {string} dir - Settings directory
+ * @param {string} name - Setting name
+ * @returns {Object} - {value, problems}
+ */
+function readSetting(dir, name) {
+    const {required, fallback} = SETTINGS_FILES[name];
+    const files = findSettingsFiles(dir, name);
+
+    if (files.length > 1) {
+        return {value: fallback, problems: [`Use one file for ${name}, found ${files.map(file => path.basename(file)).join(' and ')}`]};
+    }
+    if (!files.length) {
+        return {
+            value: fallback,
+            problems: required ? [`${path.join(dir, name)}.yaml is missing`] : []
+        };
+    }
+
+    const [file] = files;
+    const label = path.basename(file);
+    let value;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        value = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+        return {value: fallback, problems: [`${label}: ${error.message}`]};
+    }
+
+    // An empty file is an empty setting
+    if (value === undefined || value === null) value = fallback;
+
+    const schemaProblems = validateSchema(value, SCHEMAS[name]).map(problem => `${label}: ${problem.replace(/^\$\.?/, '') || 'file'}`);
+    if (schemaProblems.length) return {value, problems: schemaProblems};
+
+    return {value, problems: checkSettingValues(name, value, label)};
+}
+
+/**
+ * Read sources, filter rules and prompt templates from the settings directory
+ * @param {string} dir - Settings directory
+ * @returns {Object} - {sources, filters, prompts}
+ * @throws {SettingsError} - With every problem found, if any file is missing or invalid
+ */
+function loadSettings(dir) {
+    const settings = {};
+    const problems = [];
+
+    for (const name of Object.keys(SETTINGS_FILES)) {
+        const result = readSetting(dir, name);
+        settings[name] = result.value;
+        problems.push(...result.problems);
+    }
+
+    if (problems.length) throw new SettingsError(problems);
+    return settings;
+}
+
+/**
+ * Check the settings files and print what they configure
+ * @param {string} dir - Settings directory
+ * @returns {boolean} - true if the settings are valid
+ */
+function printSettingsCheck(dir) {
+    let settings;
+    try {
+        settings = loadSettings(dir);
+    } catch (error) {
+        if (!(error instanceof SettingsError)) throw error;
+        console.error(error.message);
+        process.exitCode = 1;
+        return false;
+    }
+
+    const sources = Object.entries(settings.sources);
+    const disabled = sources.filter(([, source]) => source.enabled === false).map(([name]) => name);
+    console.log(`Settings in ${dir} are valid`);
+    console.log(`  Sources:      ${sources.length}${disabled.length ? ` (disabled: ${disabled.join(', ')})` : ''}`);
+    console.log(`  Filter rules: ${settings.filters.rules.length}`);
+    console.log(`  Prompts:      ${Object.keys(settings.prompts).join(', ') || 'none, using the environment'}`);
+    return true;
+}
+
+/**
+ * Reload the settings whenever a file in the settings directory changes
+ * Invalid files are reported and the previous settings stay in use.
+ * @param {string} dir - Settings directory
+ * @param {Function} onReload - Called with the new settings
+ * @returns {Object} - {close} to stop watching
+ */
+function watchSettings(dir, onReload) {
+    let timer = null;
+
+    const reload = () => {
+        timer = null;
+        try {
+            onReload(loadSettings(dir));
+            console.log('Settings reloaded');
+        } catch (error) {
+            console.error(`Settings not reloaded, keeping the previous ones. ${error.message}`);
+        }
+    };
+
+    const watcher = fs.watch(dir, (event, filename) => {
+        if (filename && !EXTENSIONS.includes(path.extname(filename))) return;
+        clearTimeout(timer);
+        timer = setTimeout(reload, RELOAD_DELAY);
+    });
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = {
+    loadSettings,
+    watchSettings,
+    printSettingsCheck,
+    findSettingsFiles,
+    SettingsError
+};
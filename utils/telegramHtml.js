@@ -0,0 +1,167 @@
+// Tags Telegram accepts in HTML parse mode
+const ALLOWED_TAGS = [
+    'b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del',
+    'a', 'code', 'pre', 'blockquote', 'tg-spoiler', 'span'
+];
+
+// Entities Telegram understands, any other & must be escaped
+const ENTITY_PATTERN = /&(?!(?:amp|lt|gt|quot|#\d+|#x[0-9a-f]+);)/gi;
+
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Rebuild an allowed opening tag with only the attributes Telegram supports
+ * @param {string} name - Lower-case tag name
+ * @param {string} attributes - Raw attribute text
+ * @returns {string|null} - Clean tag, or null if the tag must be dropped
+ */
+function cleanOpeningTag(name, attributes) {
+    if (name === 'a') {
+        const href = attributes.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        const url = href ? (href[1] || href[2] || href[3] || '').replace(/&amp;/g, '&') : '';
+        return /^(https?:|tg:|mailto:)/i.test(url) ? `<a href="${escapeHtml(url)}">` : null;
+    }
+    if (name === 'span') {
+        return /class\s*=\s*["']?tg-spoiler/i.test(attributes) ? '<span class="tg-spoiler">' : null;
+    }
+    if (name === 'code') {
+        const language = attributes.match(/class\s*=\s*["']?(language-[\w+-]+)/i);
+        return language ? `<code class="${language[1]}">` : '<code>';
+    }
+    return `<${name}>`;
+}
+
+/**
+ * Keep only the tags Telegram allows and escape everything else
+ * Unbalanced tags are dropped or closed so the message parses.
+ * @param {string} html - HTML from configuration, e.g. a signature
+ * @returns {string} - HTML safe to send with parse_mode HTML
+ */
+function sanitizeHtml(html) {
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g;
+    const stack = [];
+    let result = '';
+    let lastIndex = 0;
+    let match;
+
+    const escapeText = text => text
+        .replace(ENTITY_PATTERN, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    while ((match = tagPattern.exec(html))) {
+        result += escapeText(html.substring(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        const [, closing, rawName, attributes] = match;
+        const name = rawName.toLowerCase();
+        if (!ALLOWED_TAGS.includes(name)) continue;
+
+        if (closing) {
+            if (stack.length && stack[stack.length - 1] === name) {
+                stack.pop();
+                result += `</${name}>`;
+            }
+            continue;
+        }
+
+        const tag = cleanOpeningTag(name, attributes);
+        if (tag) {
+            stack.push(name);
+            result += tag;
+        }
+    }
+
+    result += escapeText(html.substring(lastIndex));
+    while (stack.length) {
+        result += `</${stack.pop()}>`;
+    }
+    return result;
+}
+
+/**
+ * Count the characters Telegram counts against its length limits: text without tags, entities as one character
+ * @param {string} html - Telegram HTML
+ * @returns {number} - Visible length
+ */
+function visibleLength(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:amp|lt|gt|quot|#\d+|#x[0-9a-f]+);/gi, '_')
+        .length;
+}
+
+/**
+ * Find where to cut text so the first part fits a limit
+ * Prefers the end of a paragraph, then of a sentence, then a space, so words and hashtags stay whole.
+ * @param {string} text - Plain text
+ * @param {number} limit - Maximum length of the first part
+ * @returns {number} - Index to cut at
+ */
+function findBreak(text, limit) {
+    if (text.length <= limit) return text.length;
+
+    const window = text.substring(0, limit + 1);
+    const boundaries = [
+        {pattern: /\n\s*\n/g, minimum: limit * 0.5},
+        {pattern: /[.!?؟…](?:["'»”)\]]*)\s/g, minimum: limit * 0.5},
+        {pattern: /\s/g, minimum: 1}
+    ];
+
+    for (const {pattern, minimum} of boundaries) {
+        let index = -1;
+        let match;
+        while ((match = pattern.exec(window))) {
+            index = match.index + match[0].length;
+        }
+        if (index >= minimum) return index;
+    }
+
+    // No space at all: cut hard, without splitting a surrogate pair
+    const code = text.charCodeAt(limit - 1);
+    return code >= 0xD800 && code <= 0xDBFF ? limit - 1 : limit;
+}
+
+/**
+ * Split plain text into parts that fit Telegram's limits
+ * @param {string} text - Plain text
+ * @param {number} firstLimit - Maximum length of the first part, 0 to put everything in the following parts
+ * @param {number} limit - Maximum length of the following parts
+ * @returns {Array<string>} - Trimmed parts; the first one may be empty
+ */
+function splitText(text, firstLimit, limit) {
+    const parts = [];
+    let rest = String(text || '').trim();
+    let currentLimit = firstLimit;
+
+    while (rest.length) {
+        if (currentLimit <= 0) {
+            parts.push('');
+        } else {
+            const index = findBreak(rest, currentLimit);
+            parts.push(rest.substring(0, index).trim());
+            rest = rest.substring(index).trim();
+        }
+        currentLimit = limit;
+    }
+
+    return parts.length ? parts : [''];
+}
+
+module.exports = {
+    escapeHtml,
+    sanitizeHtml,
+    visibleLength,
+    splitText
+};
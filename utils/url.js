@@ -0,0 +1,85 @@
+const {generateHash} = require('./helpers');
+
+// Query parameters known to only track where a click came from
+// Generic names such as ref, source or share are left alone, many sites use them to select content.
+const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid', 'twclid', 'ttclid',
+    'mkt_tok', '_ga', '_gl', '_hsenc', '_hsmi', 'ref_src', 'cmpid', 'ocid', 'smid', 'smtyp',
+    'ns_mchannel', 'ns_source', 'ns_campaign', 'ns_linkname', 'ns_fee'
+];
+
+// Prefixes of tracking parameter families such as utm_source or mc_cid
+const TRACKING_PREFIXES = ['utm_', 'mc_', 'pk_', 'mtm_', 'hsa_', 'oly_'];
+
+// Host prefixes that serve the same articles as the bare domain
+const HOST_ALIASES = /^(?:www\d*|m|mobile|amp)\./;
+
+/**
+ * Check whether a query parameter only tracks the click
+ * @param {string} name - Parameter name
+ * @returns {boolean} - true if it can be dropped
+ */
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.some(param => param.toLowerCase() === lower) ||
+        TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Canonicalise an article URL
+ * Drops the fragment, tracking parameters and a trailing slash, sorts the remaining parameters
+ * and lower-cases the host. Used to compare links; items keep the link they were scraped with.
+ * @param {string} url - Absolute or relative URL
+ * @param {string} [base] - URL relative links are resolved against
+ * @returns {string} - Canonical URL, or the trimmed input if it is not a valid http(s) URL
+ */
+function canonicalizeUrl(url, base = undefined) {
+    const raw = String(url || '').trim();
+
+    let parsed;
+    try {
+        parsed = new URL(raw, base);
+    } catch (error) {
+        return raw;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return raw;
+
+    parsed.hash = '';
+    parsed.username = '';
+    parsed.password = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return parsed.href;
+}
+
+/**
+ * Get the stable dedup key of an article URL
+ * The same article reached over http or https, or on a www., m. or amp. host gets the same key.
+ * @param {string} url - Article URL
+ * @returns {string} - Hash of the normalised host, path and parameters
+ */
+function getDedupKey(url) {
+    const canonical = canonicalizeUrl(url);
+
+    try {
+        const parsed = new URL(canonical);
+        const host = parsed.hostname.replace(HOST_ALIASES, '');
+        return generateHash(`${host}${parsed.pathname}${parsed.search}`);
+    } catch (error) {
+        return generateHash(canonical);
+    }
+}
+
+module.exports = {
+    canonicalizeUrl,
+    getDedupKey
+};